@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * LinkedIn MCP Server command line entry point
+ * Run with: npx linkedin-mcp-server --help
+ */
+
+const MCPServer = require('../src/public/mcpServer.js');
+const { StreamableHTTPTransport } = require('../src/public/httpTransport.js');
+const { RateLimiter } = require('../src/public/rateLimiter.js');
+const { ToolCache } = require('../src/public/toolCache.js');
+const { ToolMetrics } = require('../src/public/toolMetrics.js');
+const { AuditLog } = require('../src/public/auditLog.js');
+const { PostQueue, PostScheduler } = require('../src/public/postQueue.js');
+const { StdioTransport } = require('../src/node/stdioTransport.js');
+const { createHttpServer } = require('../src/node/httpServer.js');
+const { FileStore } = require('../src/node/fileStore.js');
+const { loadConfig, USAGE } = require('../src/node/config.js');
+const { createLogger } = require('../src/node/logger.js');
+
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    process.stderr.write(error.message + '\n\n' + USAGE);
+    process.exit(2);
+}
+
+if (config.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+}
+
+if (config.version) {
+    process.stdout.write(new MCPServer().version + '\n');
+    process.exit(0);
+}
+
+const logger = createLogger(config.logLevel, process.stderr, config.logFormat);
+const postQueue = new PostQueue(new FileStore(config.queueFile));
+const accountTokens = new Map();
+const toolQuotas = MCPServer.createToolQuotas();
+const toolCache = new ToolCache(null, { logger: logger });
+const toolMetrics = new ToolMetrics();
+const auditLog = new AuditLog(new FileStore(config.auditFile), { logger: logger });
+
+function createServer() {
+    return new MCPServer(config.token, {
+        demo: config.demo,
+        linkedin: config.linkedin,
+        postQueue: postQueue,
+        accountTokens: accountTokens,
+        confirmWrites: config.confirmWrites,
+        readOnly: config.readOnly,
+        disabledTools: config.disabledTools,
+        toolTimeouts: config.toolTimeouts,
+        toolQuotas: toolQuotas,
+        toolCache: toolCache,
+        logger: logger,
+        auditLog: auditLog,
+        toolMetrics: toolMetrics
+    });
+}
+
+// Publish scheduled posts while the server runs; missed ones go out right after the next start.
+// They go out as the member who queued them: with --token if it is theirs, else with the token
+// their session last used (kept in memory only).
+const postScheduler = new PostScheduler(postQueue, {
+    publish: entry => createServer().publishQueuedPost(entry),
+    logger: logger
+}).start();
+postScheduler.flush().catch(error => logger.error('Post queue flush failed:', error));
+logger.debug('Post queue: ' + config.queueFile);
+logger.debug('Audit log: ' + config.auditFile);
+
+if (!config.token || config.demo) {
+    logger.warn('No LinkedIn token configured (or --demo set): tools return demo data');
+}
+
+const registeredTools = createServer().tools;
+const unknownTools = config.disabledTools.filter(name => !(name in registeredTools));
+if (unknownTools.length > 0) {
+    logger.warn('Unknown tools in --disable-tool: ' + unknownTools.join(', '));
+}
+const unknownTimeouts = Object.keys(config.toolTimeouts).filter(name => !(name in registeredTools));
+if (unknownTimeouts.length > 0) {
+    logger.warn('Unknown tools in --tool-timeout: ' + unknownTimeouts.join(', '));
+}
+
+if (config.readOnly) {
+    logger.info('Read-only mode: write tools are hidden');
+}
+
+if (!config.confirmWrites) {
+    logger.warn('--skip-confirmation set: write tools publish without a confirmed preview');
+}
+
+if (config.transport === 'http') {
+    const transport = new StreamableHTTPTransport({
+        createServer: createServer,
+        protocolVersions: MCPServer.SUPPORTED_PROTOCOL_VERSIONS,
+        rateLimiter: config.http.rateLimit > 0
+            ? new RateLimiter({ limit: config.http.rateLimit, intervalMs: 60 * 1000 })
+            : null,
+        allowedOrigins: config.http.allowedOrigins,
+        apiKeys: config.http.apiKeys,
+        requireToken: config.http.requireToken,
+        logger: logger
+    });
+    if (config.http.apiKeys.length === 0 && !['127.0.0.1', 'localhost', '::1'].includes(config.http.host)) {
+        logger.warn('Listening on ' + config.http.host + ' without --api-key: anyone who can reach the port can use the tools');
+    }
+    const server = createHttpServer(transport, { logger: logger });
+
+    server.listen(config.http.port, config.http.host, () => {
+        const address = server.address();
+        logger.info('LinkedIn MCP server listening on http://' + config.http.host + ':' + address.port + '/mcp');
+    });
+
+    // Open SSE streams would keep close() waiting forever
+    const shutdown = () => {
+        server.close(() => process.exit(0));
+        server.closeAllConnections();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+} else {
+    logger.info('LinkedIn MCP server running on stdio');
+    new StdioTransport(createServer(), { logger: logger })
+        .start()
+        .then(() => logger.debug('stdin closed, exiting'));
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Local LinkedIn API simulator for offline testing
+ * Run with: node bin/linkedin-simulator.js --help
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { LinkedInSimulator, createSimulatorServer } = require('../src/node/linkedinSimulator.js');
+const { createLogger } = require('../src/node/logger.js');
+
+const USAGE = `Usage: linkedin-simulator [options]
+
+Serves a stateful stand-in for the LinkedIn API. Point the MCP server at it with
+  linkedin-mcp-server --base-url <simulator URL> --token simulated-access-token
+
+Options:
+  --port <port>      Port to listen on (default 4010)
+  --host <host>      Bind address (default 127.0.0.1)
+  --seed <file>      JSON file with the initial state, shaped like LinkedInSimulator.DEFAULT_SEED
+  --latency <ms>     Delay every API response
+  -h, --help         Show this help
+
+Control endpoints: POST /_simulator/reset, POST and DELETE /_simulator/faults,
+PUT /_simulator/latency, GET /_simulator/state
+`;
+
+let values;
+try {
+    values = parseArgs({
+        options: {
+            'port': { type: 'string' },
+            'host': { type: 'string' },
+            'seed': { type: 'string' },
+            'latency': { type: 'string' },
+            'help': { type: 'boolean', short: 'h' }
+        },
+        strict: true
+    }).values;
+} catch (error) {
+    process.stderr.write(error.message + '\n\n' + USAGE);
+    process.exit(2);
+}
+
+if (values.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+}
+
+const logger = createLogger('info');
+const simulator = new LinkedInSimulator({
+    seed: values.seed ? JSON.parse(fs.readFileSync(values.seed, 'utf8')) : undefined,
+    latencyMs: Number(values.latency) || 0
+});
+const host = values.host || '127.0.0.1';
+const server = createSimulatorServer(simulator);
+
+server.listen(Number(values.port || 4010), host, () => {
+    const baseUrl = 'http://' + host + ':' + server.address().port;
+    logger.info('LinkedIn simulator listening on ' + baseUrl);
+    logger.info('Seeded access tokens: ' + (Array.from(simulator.tokens.keys()).join(', ') || 'none'));
+});
+
+const shutdown = () => {
+    server.close(() => process.exit(0));
+    server.closeAllConnections();
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -2,10 +2,26 @@
 /**
  * Simple test script for the LinkedIn MCP Server
  * Run with: node examples/test-server.js
+ *
+ * Lists the sample requests, then runs the HTTP server against the local LinkedIn
+ * simulator, so the whole stack is exercised without network access.
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { spawn } = require('child_process');
+const MCPServer = require('../src/public/mcpServer.js');
+const { StreamableHTTPTransport } = require('../src/public/httpTransport.js');
+const { createHttpServer } = require('../src/node/httpServer.js');
+const { createLogger } = require('../src/node/logger.js');
+const { FileStore } = require('../src/node/fileStore.js');
+const { MemoryStore } = require('../src/public/storage.js');
+const { RateLimiter } = require('../src/public/rateLimiter.js');
+const { AuditLog } = require('../src/public/auditLog.js');
+const { PostQueue, PostScheduler } = require('../src/public/postQueue.js');
+const { LinkedInOAuth } = require('../src/public/oauth.js');
+const { LinkedInSimulator, createSimulatorServer } = require('../src/node/linkedinSimulator.js');
 
 console.log('🧪 Testing LinkedIn MCP Server');
 console.log('================================\n');
@@ -32,7 +48,683 @@ console.log('\n💡 To test your server:');
 console.log('1. Start your MCP server');
 console.log('2. Use the requests in test-requests.json with curl or Postman');
 console.log('3. Example:');
-console.log('   curl -X POST http://localhost:8000/mcp \\');
+console.log('   curl -X POST http://localhost:3000/mcp \\');
 console.log('     -H "Content-Type: application/json" \\');
-console.log('     -d \'+ JSON.stringify(testRequests.get_profile.body) + '\'');
-console.log('\n🚀 Happy testing!');
\ No newline at end of file
+console.log('     -d \'' + JSON.stringify(testRequests.get_profile.body) + '\'');
+
+/**
+ * Start an http.Server on a free local port and resolve with its base URL
+ */
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve('http://127.0.0.1:' + server.address().port));
+    });
+}
+
+/**
+ * Run the command line server over stdio: write the messages, close stdin and resolve with
+ * the messages it printed and its exit code, or a null code if it had to be killed
+ */
+function runStdio(args, messages, timeoutMs = 10 * 1000) {
+    return new Promise(resolve => {
+        const child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'linkedin-mcp-server.js')].concat(args), {
+            // Only what the test passes, none of the LINKEDIN_* settings of the shell running it
+            env: { PATH: process.env.PATH },
+            stdio: ['pipe', 'pipe', 'ignore']
+        });
+        let output = '';
+        const timer = setTimeout(() => child.kill(), timeoutMs);
+        child.stdout.on('data', chunk => {
+            output += chunk;
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            resolve({
+                code: code,
+                messages: output.split('\n').filter(Boolean).map(line => JSON.parse(line))
+            });
+        });
+        child.stdin.end(messages.map(message => JSON.stringify(message) + '\n').join(''));
+    });
+}
+
+async function runAgainstSimulator() {
+    console.log('\n🔌 End-to-end run against the LinkedIn simulator');
+
+    const simulator = new LinkedInSimulator();
+    const simulatorServer = createSimulatorServer(simulator);
+    const simulatorUrl = await listen(simulatorServer);
+    // A second token of the seeded member
+    const secondToken = 'second-access-token';
+    simulator.tokens.set(secondToken, Object.assign({}, LinkedInSimulator.DEFAULT_SEED.tokens[0], { accessToken: secondToken }));
+
+    const logger = createLogger('error');
+    const postQueue = new PostQueue(new MemoryStore());
+    const accountTokens = new Map();
+    const auditLog = new AuditLog(new MemoryStore(), { logger: logger });
+    const createServer = (token = LinkedInSimulator.DEFAULT_SEED.tokens[0].accessToken, options = {}) => new MCPServer(token, Object.assign({
+        linkedin: { baseUrl: simulatorUrl, retryDelayMs: 10 },
+        postQueue: postQueue,
+        accountTokens: accountTokens,
+        auditLog: auditLog,
+        logger: logger
+    }, options));
+    // Flushed by hand below instead of on a timer
+    const postScheduler = new PostScheduler(postQueue, {
+        publish: entry => createServer(null).publishQueuedPost(entry),
+        logger: logger
+    });
+    const transport = new StreamableHTTPTransport({
+        createServer: () => createServer(),
+        logger: logger
+    });
+    const mcpServer = createHttpServer(transport, { logger: logger });
+    const mcpUrl = (await listen(mcpServer)) + '/mcp';
+
+    /**
+     * MCP client session over HTTP. With onRequest, responses are read as SSE and requests
+     * the server sends on them (elicitation/create) are answered with onRequest(request).
+     */
+    const openSession = async (capabilities = {}, onRequest = null) => {
+        let sessionId = null;
+        let nextId = 1;
+        const post = message => {
+            const headers = {
+                'Content-Type': 'application/json',
+                'Accept': onRequest ? 'application/json, text/event-stream' : 'application/json'
+            };
+            if (sessionId) {
+                headers['Mcp-Session-Id'] = sessionId;
+                headers['MCP-Protocol-Version'] = '2025-06-18';
+            }
+            return fetch(mcpUrl, { method: 'POST', headers: headers, body: JSON.stringify(message) });
+        };
+        const readEvents = async (response, id) => {
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    return null;
+                }
+                buffer += value;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const data = buffer.slice(0, end).split('\n')
+                        .filter(line => line.startsWith('data: '))
+                        .map(line => line.slice(6))
+                        .join('\n');
+                    buffer = buffer.slice(end + 2);
+                    const incoming = data ? JSON.parse(data) : {};
+                    if (incoming.method && incoming.id !== undefined) {
+                        await post({ jsonrpc: '2.0', id: incoming.id, result: await onRequest(incoming) });
+                    } else if (incoming.id === id) {
+                        await reader.cancel();
+                        return incoming;
+                    }
+                }
+            }
+        };
+        const send = async (method, params) => {
+            const message = { jsonrpc: '2.0', method: method, params: params };
+            if (!method.startsWith('notifications/')) {
+                message.id = nextId++;
+            }
+            const response = await post(message);
+            sessionId = response.headers.get('Mcp-Session-Id') || sessionId;
+            if ((response.headers.get('Content-Type') || '').startsWith('text/event-stream')) {
+                return readEvents(response, message.id);
+            }
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
+        };
+
+        const initialized = await send('initialize', {
+            protocolVersion: '2025-06-18',
+            capabilities: capabilities,
+            clientInfo: { name: 'test-server', version: '1.0.0' }
+        });
+        await send('notifications/initialized');
+        return {
+            send: send,
+            initialized: initialized,
+            sessionId: () => sessionId,
+            callTool: async (name, args) => (await send('tools/call', { name: name, arguments: args })).result
+        };
+    };
+
+    // For servers and transports driven in-process rather than over HTTP
+    const initializeRequest = {
+        jsonrpc: '2.0', id: 1, method: 'initialize',
+        params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test-server', version: '1.0.0' } }
+    };
+    const postTo = (target, message, headers = {}) => target.handleRequest(new Request('http://127.0.0.1/mcp', {
+        method: 'POST',
+        headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+        body: JSON.stringify(message)
+    }));
+
+    let failures = 0;
+    const check = (description, passed) => {
+        console.log((passed ? '✅ ' : '❌ ') + description);
+        if (!passed) {
+            failures++;
+        }
+    };
+
+    try {
+        const session = await openSession();
+        const send = session.send;
+        const callTool = session.callTool;
+        // Write tools: get the preview, then repeat the call with its confirmation token
+        const callConfirmed = async (name, args) => {
+            const preview = await callTool(name, args);
+            if (!preview || !preview.structuredContent || !preview.structuredContent.confirmation) {
+                return preview;
+            }
+            return callTool(name, Object.assign({
+                confirmationToken: preview.structuredContent.confirmation.confirmationToken
+            }, args));
+        };
+        check('initialize opens a session', Boolean(session.initialized.result && session.sessionId()));
+
+        // A second endpoint that keeps a single session
+        const smallTransport = new StreamableHTTPTransport({ createServer: () => createServer(), maxSessions: 1, logger: logger });
+        const first = (await postTo(smallTransport, initializeRequest)).headers.get('Mcp-Session-Id');
+        const second = (await postTo(smallTransport, initializeRequest)).headers.get('Mcp-Session-Id');
+        const evicted = await postTo(smallTransport, { jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': first });
+        check('past the session limit the least recently used session is closed',
+            smallTransport.sessions.size === 1 && smallTransport.sessions.has(second) && evicted.status === 404);
+
+        // JSON-RPC framing: batches, notifications, invalid envelopes and unparseable bodies
+        const rpcTransport = new StreamableHTTPTransport({ createServer: () => createServer(), logger: logger });
+        const rpcSession = { 'Mcp-Session-Id': (await postTo(rpcTransport, initializeRequest)).headers.get('Mcp-Session-Id') };
+        const batch = await postTo(rpcTransport, [
+            { jsonrpc: '2.0', method: 'notifications/initialized' },
+            { jsonrpc: '2.0', id: 'a', method: 'ping' },
+            { jsonrpc: '2.0', id: 'b', method: 'tools/list' }
+        ], rpcSession);
+        const batchBody = await batch.json();
+        check('a batch gets one response per request, in order',
+            batch.status === 200 && batchBody.length === 2 &&
+            batchBody[0].id === 'a' && batchBody[1].id === 'b' && Array.isArray(batchBody[1].result.tools));
+
+        const notificationsOnly = await postTo(rpcTransport, [
+            { jsonrpc: '2.0', method: 'notifications/initialized' },
+            { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'gone' } }
+        ], rpcSession);
+        check('a batch of notifications only is accepted with 202 and no body',
+            notificationsOnly.status === 202 && await notificationsOnly.text() === '');
+
+        const emptyBatch = await postTo(rpcTransport, [], rpcSession);
+        check('an empty batch is rejected with 400 and -32600',
+            emptyBatch.status === 400 && (await emptyBatch.json()).error.code === -32600);
+
+        const wrongVersion = await postTo(rpcTransport, { jsonrpc: '1.0', id: 7, method: 'ping' }, rpcSession);
+        const invalidInBatch = await (await postTo(rpcTransport, [
+            { jsonrpc: '2.0', id: 8 },
+            { jsonrpc: '2.0', id: 9, method: 'ping' }
+        ], rpcSession)).json();
+        check('invalid envelopes get -32600 with their own id, without failing the rest of the batch',
+            wrongVersion.status === 400 && (await wrongVersion.json()).error.code === -32600 &&
+            invalidInBatch[0].id === 8 && invalidInBatch[0].error.code === -32600 &&
+            invalidInBatch[1].id === 9 && 'result' in invalidInBatch[1]);
+
+        const unparseable = await rpcTransport.handleRequest(new Request('http://127.0.0.1/mcp', {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, rpcSession),
+            body: '{"jsonrpc": "2.0", "id": 10, "method": "ping"'
+        }));
+        const parseError = await unparseable.json();
+        check('an unparseable body is rejected with 400 and -32700',
+            unparseable.status === 400 && parseError.error.code === -32700 && parseError.id === null);
+
+        // The service worker's setup, with a stored token that expired and has no refresh token
+        const expiredOAuth = new LinkedInOAuth({}, new MemoryStore(), { logger: logger });
+        await expiredOAuth.store.set('token', { accessToken: 'expired', expiresAt: Date.now() - 1000, refreshToken: null });
+        const storedTokenTransport = new StreamableHTTPTransport({
+            createServer: () => createServer(null),
+            getContext: async (request, auth) => ({ token: auth.linkedinToken || await expiredOAuth.getAccessToken() }),
+            logger: logger
+        });
+        const expired = await postTo(storedTokenTransport, initializeRequest);
+        check('a stored token that cannot be refreshed gets 401 instead of demo data',
+            expired.status === 401 && storedTokenTransport.sessions.size === 0);
+
+        // Sessions answer only the credentials they were opened with
+        const keyedTransport = new StreamableHTTPTransport({
+            createServer: () => createServer(),
+            apiKeys: ['first-key', 'second-key'],
+            logger: logger
+        });
+        const keyedSession = (await postTo(keyedTransport, initializeRequest, { 'X-API-Key': 'first-key' })).headers.get('Mcp-Session-Id');
+        const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+        const sameKey = await postTo(keyedTransport, ping, { 'X-API-Key': 'first-key', 'Mcp-Session-Id': keyedSession });
+        const otherKey = await postTo(keyedTransport, ping, { 'X-API-Key': 'second-key', 'Mcp-Session-Id': keyedSession });
+        const otherToken = await postTo(keyedTransport, ping, {
+            'X-API-Key': 'first-key', 'Authorization': 'Bearer ' + secondToken, 'Mcp-Session-Id': keyedSession
+        });
+        check('a session rejects requests with other credentials than it was opened with',
+            sameKey.status === 200 && otherKey.status === 404 && otherToken.status === 404);
+
+        // Browser origins on an allowlist, and an API key on every request
+        const guardedTransport = new StreamableHTTPTransport({
+            createServer: () => createServer(),
+            allowedOrigins: ['http://dashboard.example'],
+            apiKeys: ['first-key'],
+            logger: logger
+        });
+        const foreignOrigin = await postTo(guardedTransport, initializeRequest, {
+            'Origin': 'http://attacker.example', 'X-API-Key': 'first-key'
+        });
+        const allowedOrigin = await postTo(guardedTransport, initializeRequest, {
+            'Origin': 'http://dashboard.example', 'X-API-Key': 'first-key'
+        });
+        check('a foreign Origin gets 403, and CORS responses vary by Origin',
+            foreignOrigin.status === 403 && !foreignOrigin.headers.has('Access-Control-Allow-Origin') &&
+            /\bOrigin\b/.test(foreignOrigin.headers.get('Vary')) &&
+            allowedOrigin.status === 200 && allowedOrigin.headers.get('Access-Control-Allow-Origin') === 'http://dashboard.example' &&
+            /\bOrigin\b/.test(allowedOrigin.headers.get('Vary')));
+
+        const withoutKey = await postTo(guardedTransport, initializeRequest);
+        const wrongKey = await postTo(guardedTransport, initializeRequest, { 'X-API-Key': 'wrong-key' });
+        const bearerKey = await postTo(guardedTransport, initializeRequest, { 'Authorization': 'Bearer first-key' });
+        check('requests without a valid API key get 401 with a challenge, and a valid key passes',
+            withoutKey.status === 401 && withoutKey.headers.has('WWW-Authenticate') &&
+            wrongKey.status === 401 && /invalid_token/.test(wrongKey.headers.get('WWW-Authenticate')) &&
+            bearerKey.status === 200 && Boolean(bearerKey.headers.get('Mcp-Session-Id')));
+
+        const metadata = await (await fetch(new URL('/.well-known/oauth-protected-resource', mcpUrl))).json();
+        check('resource metadata does not send clients to LinkedIn for tokens', !('authorization_servers' in metadata));
+
+        const profile = await callTool('get_profile', {});
+        check('get_profile reads the simulated member', profile.structuredContent.name === 'Demo User');
+
+        const invalid = await send('tools/call', { name: 'list_my_posts', arguments: { count: 'ten' } });
+        const inherited = await send('tools/call', { name: 'get_profile', arguments: { constructor: 1 } });
+        check('arguments that break the schema are rejected with -32602',
+            invalid.error && invalid.error.code === -32602 && inherited.error && inherited.error.code === -32602);
+
+        const post = { text: 'Testing the whole stack offline #mcp' };
+        const preview = await callTool('create_post', post);
+        const token = preview.structuredContent.confirmation.confirmationToken;
+        const created = await callTool('create_post', Object.assign({ confirmationToken: token }, post));
+        const postId = created.structuredContent.post.id;
+        check('create_post publishes after confirmation', Boolean(postId) && !created.isError);
+
+        const replayed = await send('tools/call', { name: 'create_post', arguments: Object.assign({ confirmationToken: token }, post) });
+        const previewed = await callTool('add_comment', { post_id: postId, text: 'As previewed' });
+        const changed = await send('tools/call', { name: 'add_comment', arguments: {
+            post_id: postId,
+            text: 'Changed after the preview',
+            confirmationToken: previewed.structuredContent.confirmation.confirmationToken
+        } });
+        check('confirmation tokens are single-use and only confirm the previewed arguments',
+            replayed.error && replayed.error.code === -32602 && changed.error && changed.error.code === -32602);
+
+        const posts = await callTool('list_my_posts', {});
+        check('list_my_posts returns the new post', posts.structuredContent.elements.some(element => element.id === postId));
+
+        // Attachments and mentions, checked against what the simulator received
+        const pixel = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+        const imagePost = await callConfirmed('create_post', {
+            text: 'Two pictures',
+            media: [
+                { type: 'image', data: pixel, mimeType: 'image/png', altText: 'A pixel' },
+                { type: 'image', data: pixel, mimeType: 'image/png' }
+            ]
+        });
+        const documentPost = await callConfirmed('create_post', {
+            text: 'Slides from the talk',
+            media: [{ type: 'resource', resource: { uri: 'file:///talks/slides.pdf', mimeType: 'application/pdf', blob: 'JVBERi0xLjQ=' } }]
+        });
+        const pollPost = await callConfirmed('create_post', {
+            text: 'Quick question',
+            poll: { question: 'Tabs or spaces?', options: ['Tabs', 'Spaces', 'Both'], duration: 'ONE_DAY' }
+        });
+        const mentionPost = await callConfirmed('create_post', {
+            text: 'Thanks @Demo Tech Corp for hosting #mcp',
+            mentions: [{ name: 'Demo Tech Corp', urn: 'urn:li:organization:demo123' }]
+        });
+        const sent = (await (await fetch(simulatorUrl + '/_simulator/state')).json()).posts;
+        const sentPost = result => sent.find(element => element.id === result.structuredContent.post.id);
+        const images = sentPost(imagePost).content.multiImage.images;
+        check('create_post uploads images and documents before attaching them',
+            images.length === 2 && images[0].altText === 'A pixel' && images.every(image => image.id.startsWith('urn:li:image:')) &&
+            sentPost(documentPost).content.media.id.startsWith('urn:li:document:') &&
+            sentPost(documentPost).content.media.title === 'slides.pdf');
+        check('create_post attaches polls and links mentions',
+            sentPost(pollPost).content.poll.options.length === 3 &&
+            sentPost(pollPost).content.poll.settings.duration === 'ONE_DAY' &&
+            sentPost(mentionPost).commentary === 'Thanks @[Demo Tech Corp](urn:li:organization:demo123) for hosting {hashtag|\\#|mcp}');
+
+        const missingMention = await callConfirmed('create_post', {
+            text: 'Thanks for hosting', mentions: [{ name: 'Demo Tech Corp', urn: 'urn:li:organization:demo123' }]
+        });
+        const twoAttachments = await callConfirmed('create_post', {
+            text: 'Too much', article: { url: 'https://example.com' }, poll: { question: 'Really?', options: ['Yes', 'No'] }
+        });
+        simulator.injectFault({ status: 400, method: 'PUT', path: '/uploads/' });
+        const failedUpload = await callConfirmed('create_post', {
+            text: 'This upload fails', media: [{ type: 'image', data: pixel, mimeType: 'image/png' }]
+        });
+        const postCount = (await (await fetch(simulatorUrl + '/_simulator/state')).json()).posts.length;
+        check('mentions missing from the text, several attachments and failed uploads are tool errors',
+            missingMention.isError === true && twoAttachments.isError === true &&
+            failedUpload.isError === true && /upload failed \(400\)/.test(failedUpload.content[0].text) &&
+            postCount === sent.length);
+
+        await callConfirmed('add_comment', { post_id: postId, text: 'First!' });
+        const comments = await callTool('get_post_comments', { post_id: postId });
+        check('comments can be added and read back', comments.structuredContent.paging.total === 1);
+
+        const organizations = await callTool('get_organizations', {});
+        check('get_organizations lists the seeded roles', organizations.structuredContent.elements.length === 2);
+
+        const byName = await send('prompts/get', { name: 'summarize_organization', arguments: { organization: 'Demo Tech Corp' } });
+        const byUrn = await send('prompts/get', { name: 'summarize_organization', arguments: { organization: 'urn:li:organization:demo456' } });
+        check('prompts find organizations by name and by URN',
+            JSON.stringify(byName.result).indexOf('Demo Tech Corp') !== -1 &&
+            JSON.stringify(byUrn.result).indexOf('Sample Innovations') !== -1);
+
+        // Statistics: buckets per granularity, and time ranges checked before LinkedIn is called
+        const daily = await callTool('get_organization_follower_stats', {
+            organization: 'demo123', startDate: '2025-01-01', endDate: '2025-01-11'
+        });
+        const monthly = await callTool('get_organization_page_stats', {
+            organization: 'urn:li:organization:demo123', startDate: '2024-01-01', endDate: '2024-07-01', granularity: 'MONTH'
+        });
+        const shares = await callTool('get_organization_share_stats', { organization: 'demo123', granularity: 'MONTH' });
+        check('statistics come in daily or monthly buckets, with defaults for the time range',
+            daily.structuredContent.granularity === 'DAY' && daily.structuredContent.series.length === 10 &&
+            daily.structuredContent.timeRange.start === '2025-01-01T00:00:00.000Z' &&
+            monthly.structuredContent.granularity === 'MONTH' && monthly.structuredContent.series.length === 6 &&
+            Boolean(monthly.structuredContent.demographics) &&
+            shares.structuredContent.series.length >= 12 && Boolean(shares.structuredContent.totals));
+
+        const tooLong = await callTool('get_organization_follower_stats', {
+            organization: 'demo123', startDate: '2023-01-01', endDate: '2025-01-01'
+        });
+        const longMonthly = await callTool('get_organization_follower_stats', {
+            organization: 'demo123', startDate: '2023-01-01', endDate: '2025-01-01', granularity: 'MONTH'
+        });
+        const inverted = await callTool('get_organization_follower_stats', {
+            organization: 'demo123', startDate: '2025-02-01', endDate: '2025-01-01'
+        });
+        const unknownGranularity = await send('tools/call', {
+            name: 'get_organization_follower_stats', arguments: { organization: 'demo123', granularity: 'WEEK' }
+        });
+        check('statistics reject ranges longer than their granularity allows, inverted ranges and unknown granularities',
+            tooLong.isError === true && /too long/.test(tooLong.content[0].text) && !longMonthly.isError &&
+            inverted.isError === true && /before endDate/.test(inverted.content[0].text) &&
+            unknownGranularity.error && unknownGranularity.error.code === -32602);
+
+        // One search per hour: a background refresh that spent the caller's quota would fail
+        const quotaServer = createServer(undefined, {
+            toolQuotas: MCPServer.createToolQuotas({ search_organizations: { limit: 1, intervalMs: 60 * 60 * 1000 } })
+        });
+        await quotaServer.handleMessage(initializeRequest);
+        const search = { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'search_organizations', arguments: { query: 'Demo Tech Corp' } } };
+        await quotaServer.handleMessage(search);
+        quotaServer.toolCache.entries.forEach(entry => {
+            entry.expiresAt = 0;
+        });
+        const stale = await quotaServer.handleMessage(search);
+        await quotaServer.toolCache.idle();
+        const refreshed = Array.from(quotaServer.toolCache.entries.values())[0];
+        check('stale cached results are refreshed without spending the caller\'s quota',
+            !stale.body.result.isError && refreshed.expiresAt > Date.now());
+
+        // A refresh runs after the caller got its answer, so its log entries must not reach their stream or the session's
+        const refreshServer = createServer(undefined, {
+            plugins: [server => server.registerTool({
+                name: 'chatty_lookup',
+                description: 'Log while looking something up',
+                inputSchema: { type: 'object', properties: {} },
+                annotations: { readOnlyHint: true }
+            }, async (args, context) => {
+                context.logger.info('Looking it up');
+                return server.createResult(null, {}, 'Looked up');
+            })]
+        });
+        await refreshServer.handleMessage(initializeRequest);
+        await refreshServer.handleMessage({ jsonrpc: '2.0', id: 2, method: 'logging/setLevel', params: { level: 'debug' } });
+        const lateNotifications = [];
+        refreshServer.onNotification(message => {
+            lateNotifications.push(message);
+        });
+        await refreshServer.refreshCachedTool('chatty_lookup', {}, {
+            sessionId: 'refreshing-session',
+            sendNotification: message => lateNotifications.push(message)
+        });
+        check('background refreshes send the client no notifications', lateNotifications.length === 0);
+
+        const overQuota = await quotaServer.handleMessage({
+            jsonrpc: '2.0', id: 3, method: 'tools/call',
+            params: { name: 'search_organizations', arguments: { query: 'Demo Tech Corp', cache: 'bypass' } }
+        });
+        check('a tool past its quota is rejected with -32000 and a retry hint',
+            overQuota.body.error && overQuota.body.error.code === -32000 && overQuota.body.error.data.retryAfter > 0);
+
+        // A second token of the same member shares the quota the first one used up
+        const withSecondToken = await quotaServer.handleMessage({
+            jsonrpc: '2.0', id: 4, method: 'tools/call',
+            params: { name: 'search_organizations', arguments: { query: 'Demo Tech Corp', cache: 'bypass' } }
+        }, { token: secondToken });
+        check('tool quotas belong to the member, not to one of their tokens',
+            withSecondToken.body.error && withSecondToken.body.error.code === -32000);
+
+        const limitedTransport = new StreamableHTTPTransport({
+            createServer: () => createServer(),
+            rateLimiter: new RateLimiter({ limit: 1, intervalMs: 60 * 1000 }),
+            logger: logger
+        });
+        await postTo(limitedTransport, initializeRequest);
+        const throttled = await postTo(limitedTransport, initializeRequest);
+        check('clients over the request rate limit get 429 with Retry-After',
+            throttled.status === 429 && Number(throttled.headers.get('Retry-After')) > 0);
+
+        const demoServer = createServer(null);
+        await demoServer.handleMessage(initializeRequest);
+        const inheritedOrganization = await demoServer.handleMessage({
+            jsonrpc: '2.0', id: 2, method: 'resources/read', params: { uri: 'linkedin://organization/constructor' }
+        });
+        check('demo organizations do not match Object.prototype members', Boolean(inheritedOrganization.body.error));
+
+        const malformedUri = await demoServer.handleMessage({
+            jsonrpc: '2.0', id: 3, method: 'resources/read', params: { uri: 'linkedin://organization/%E0%A4%A' }
+        });
+        check('resource URIs with malformed escapes are not found rather than internal errors',
+            malformedUri.body.error && malformedUri.body.error.code === -32002);
+
+        // Demo mode never publishes queued posts, so it must not queue them
+        const demoSchedule = { text: 'Later', publishAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() };
+        const demoPreview = (await demoServer.handleMessage({
+            jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'create_post', arguments: demoSchedule }
+        })).body.result;
+        const demoScheduled = (await demoServer.handleMessage({
+            jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'create_post', arguments: Object.assign({
+                confirmationToken: demoPreview.structuredContent.confirmation.confirmationToken
+            }, demoSchedule) }
+        })).body.result;
+        check('demo mode refuses to schedule posts', demoScheduled.isError === true &&
+            (await postQueue.list()).every(entry => entry.post.text !== 'Later'));
+
+        // Scratch directory for the files below, removed at the end
+        const storeDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'linkedin-mcp-'));
+        try {
+            // The command line server over stdio, with its files kept out of the home directory
+            const stdio = await runStdio([
+                '--token', LinkedInSimulator.DEFAULT_SEED.tokens[0].accessToken,
+                '--base-url', simulatorUrl,
+                '--queue-file', path.join(storeDirectory, 'queue.json'),
+                '--audit-file', path.join(storeDirectory, 'audit.json'),
+                '--log-level', 'error'
+            ], [
+                initializeRequest,
+                { jsonrpc: '2.0', method: 'notifications/initialized' },
+                { jsonrpc: '2.0', id: 2, method: 'tools/list' }
+            ]);
+            const stdioResponse = id => stdio.messages.find(message => message.id === id) || {};
+            check('the command line server answers initialize and tools/list over stdio and exits when stdin closes',
+                stdio.code === 0 && Boolean(stdioResponse(1).result && stdioResponse(1).result.serverInfo) &&
+                Boolean(stdioResponse(2).result) && stdioResponse(2).result.tools.some(tool => tool.name === 'create_post'));
+
+            // Keys are never Object.prototype members, and unchanged data is not written again
+            const fileStore = new FileStore(path.join(storeDirectory, 'store.json'));
+            let writes = 0;
+            const save = fileStore.save.bind(fileStore);
+            fileStore.save = () => {
+                writes++;
+                return save();
+            };
+            await fileStore.set('__proto__', { polluted: true });
+            await fileStore.set('__proto__', { polluted: true });
+            await fileStore.update('__proto__', () => ({ polluted: true }));
+            const reloaded = new FileStore(fileStore.filePath);
+            check('the file store keeps prototype names as plain keys and skips writes that change nothing',
+                writes === 1 && await fileStore.get('constructor') === undefined &&
+                (await reloaded.get('__proto__')).polluted === true && ({}).polluted === undefined &&
+                (await reloaded.values()).length === 1);
+        } finally {
+            fs.rmSync(storeDirectory, { recursive: true, force: true });
+        }
+
+        // A plugin adds a tool; read-only mode hides every write tool
+        const pluginServer = createServer(undefined, {
+            readOnly: true,
+            plugins: [server => server.registerTool({
+                name: 'count_words',
+                description: 'Count the words in a text',
+                inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+                annotations: { readOnlyHint: true }
+            }, async args => server.createResult(null, { words: args.text.split(/\s+/).length }, 'Counted'))]
+        });
+        const listChanges = [];
+        pluginServer.onNotification(message => {
+            listChanges.push(message.method);
+        });
+        await pluginServer.handleMessage(initializeRequest);
+        const pluginTools = (await pluginServer.handleMessage({ jsonrpc: '2.0', id: 2, method: 'tools/list' })).body.result.tools;
+        const counted = (await pluginServer.handleMessage({
+            jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'count_words', arguments: { text: 'one two three' } }
+        })).body.result;
+        const hidden = (await pluginServer.handleMessage({
+            jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'create_post', arguments: { text: 'Not in read-only mode' } }
+        })).body;
+        pluginServer.setToolEnabled('count_words', false);
+        check('plugins add tools, read-only mode hides write tools and list changes are announced',
+            counted.structuredContent.words === 3 && Boolean(hidden.error) &&
+            pluginTools.every(tool => tool.annotations.readOnlyHint) && pluginTools.some(tool => tool.name === 'count_words') &&
+            listChanges.join() === 'notifications/tools/list_changed');
+
+        const missing = await callTool('get_post', { post_id: 'urn:li:share:1' });
+        const forbidden = await callTool('list_organization_posts', { organization: 'demo456' });
+        check('failures while a tool runs come back as isError results', missing.isError === true && forbidden.isError === true);
+
+        // LinkedIn answers slowly: the first call runs into its timeout, the second is cancelled
+        const slowServer = createServer(undefined, { toolTimeouts: { list_my_posts: 50 } });
+        await slowServer.handleMessage(initializeRequest);
+        simulator.injectFault({ method: 'GET', path: '/rest/posts', delayMs: 300 });
+        const timedOut = (await slowServer.handleMessage({
+            jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'list_my_posts', arguments: { cache: 'bypass' } }
+        })).body.result;
+        check('a tool call past its timeout comes back as an isError result',
+            timedOut.isError === true && timedOut.content[0].text.indexOf('timed out') !== -1);
+
+        simulator.injectFault({ method: 'GET', path: '/rest/posts', delayMs: 300 });
+        const cancelling = slowServer.handleMessage({
+            jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'get_post', arguments: { post_id: postId } }
+        });
+        while (!slowServer.inFlight.has(3)) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        await slowServer.handleMessage({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 3, reason: 'test' } });
+        check('a cancelled tool call gets no response', (await cancelling).body === null && slowServer.inFlight.size === 0);
+
+        const asked = [];
+        const approving = await openSession({ elicitation: {} }, request => {
+            asked.push(request.method);
+            return { action: 'accept', content: { approve: asked.length === 1 } };
+        });
+        const approved = await approving.callTool('add_reaction', { post_id: postId, reaction: 'LIKE' });
+        const refused = await approving.callTool('remove_reaction', { post_id: postId });
+        check('write tools ask the user through elicitation and respect the answer',
+            asked.join() === 'elicitation/create,elicitation/create' &&
+            !approved.isError && !approved.structuredContent.confirmation && refused.isError === true);
+        const declined = await auditLog.list({ tool: 'remove_reaction' });
+        check('write calls the user declines are audited', declined.length === 1 && declined[0].outcome === 'declined');
+
+        // A preview asked for with one token cannot be confirmed with another
+        const confirmServer = createServer();
+        await confirmServer.handleMessage(initializeRequest);
+        const reaction = { post_id: postId, reaction: 'PRAISE' };
+        const foreignPreview = (await confirmServer.handleMessage({
+            jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'add_reaction', arguments: reaction }
+        })).body.result.structuredContent.confirmation;
+        const otherCaller = await confirmServer.handleMessage({
+            jsonrpc: '2.0', id: 3, method: 'tools/call',
+            params: { name: 'add_reaction', arguments: Object.assign({ confirmationToken: foreignPreview.confirmationToken }, reaction) }
+        }, { token: secondToken });
+        check('confirmation tokens only confirm calls made with the same account',
+            otherCaller.body.error && otherCaller.body.error.code === -32602);
+
+        const queued = (await callConfirmed('create_post', {
+            text: 'Queued while offline',
+            publishAt: new Date().toISOString()
+        })).structuredContent.scheduledPost;
+        const dropped = (await callConfirmed('create_post', {
+            text: 'Cancelled before it is due',
+            publishAt: new Date().toISOString()
+        })).structuredContent.scheduledPost;
+        await callConfirmed('cancel_scheduled_post', { id: dropped.id });
+        const foreign = await postQueue.add({ text: 'Not ours' }, { owner: 'urn:li:person:someone-else' });
+        const own = await callTool('list_scheduled_posts', {});
+        check('list_scheduled_posts only shows the caller\'s posts',
+            own.structuredContent.elements.length === 2 && !own.structuredContent.elements.some(entry => entry.id === foreign.id));
+
+        await postScheduler.flush();
+        const publishedEntry = await postQueue.get(queued.id);
+        const publishedState = await (await fetch(simulatorUrl + '/_simulator/state')).json();
+        check('due posts are published as the member who queued them',
+            publishedEntry.status === 'published' && publishedState.posts.some(element => element.id === publishedEntry.postId));
+        check('a cancelled post is not published', (await postQueue.get(dropped.id)).status === 'cancelled');
+        const foreignEntry = await postQueue.get(foreign.id);
+        check('posts without their member\'s token fail instead of going to the demo backend',
+            foreignEntry.status === 'failed' && foreignEntry.attempts === 1);
+
+        const firstPage = (await callTool('list_my_posts', { count: 1, cache: 'bypass' })).structuredContent;
+        const secondPage = (await callTool('list_my_posts', { count: 1, cursor: firstPage.nextCursor, cache: 'bypass' })).structuredContent;
+        const reused = await callTool('get_post_comments', { post_id: postId, cursor: firstPage.nextCursor });
+        const unknownCursor = await send('tools/list', { cursor: 'not-a-cursor' });
+        check('list results page with cursors that only work for the list they came from',
+            secondPage.elements.length === 1 && secondPage.elements[0].id !== firstPage.elements[0].id &&
+            reused.isError === true && unknownCursor.error && unknownCursor.error.code === -32602);
+
+        simulator.injectFault({ status: 429, method: 'GET', path: '/rest/posts', retryAfter: 0 });
+        simulator.injectFault({ status: 503, method: 'GET', path: '/rest/posts' });
+        const retried = await callTool('list_my_posts', { cache: 'bypass' });
+        check('throttled and failing reads are retried', !retried.isError);
+
+        simulator.injectFault({ status: 401, method: 'GET', path: '/rest/posts' });
+        const unauthorized = await callTool('list_my_posts', { cache: 'bypass' });
+        check('an expired token comes back as a tool error', unauthorized.isError === true);
+
+        const state = await (await fetch(simulatorUrl + '/_simulator/state')).json();
+        check('the simulator recorded the new post', state.posts.some(element => element.id === postId));
+    } catch (error) {
+        check('end-to-end run: ' + error.message, false);
+    } finally {
+        mcpServer.closeAllConnections();
+        mcpServer.close();
+        simulatorServer.closeAllConnections();
+        simulatorServer.close();
+    }
+
+    return failures;
+}
+
+runAgainstSimulator().then(failures => {
+    console.log(failures === 0 ? '\n🚀 Happy testing!' : '\n💥 ' + failures + ' check(s) failed');
+    process.exitCode = failures === 0 ? 0 : 1;
+});
@@ -0,0 +1,172 @@
+/**
+ * Command line and environment configuration for the Node.js server
+ * Flags take precedence over environment variables.
+ */
+
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { Logger } = require('../public/logger');
+
+const LOG_FORMATS = ['text', 'json'];
+
+const USAGE = `Usage: linkedin-mcp-server [options]
+
+Runs the LinkedIn MCP server over stdio (default) or Streamable HTTP.
+
+Options:
+  --token <token>        LinkedIn access token        (env LINKEDIN_ACCESS_TOKEN)
+  --demo                 Serve demo data only         (env LINKEDIN_MCP_DEMO=1)
+  --log-level <level>    debug, info, warning, error  (env LINKEDIN_MCP_LOG_LEVEL, default info)
+                         or another syslog level
+  --log-format <format>  text or json lines on stderr (env LINKEDIN_MCP_LOG_FORMAT, default text)
+  --http                 Serve HTTP instead of stdio
+  --port <port>          HTTP port, implies --http    (env LINKEDIN_MCP_PORT, default 3000)
+  --host <host>          HTTP bind address            (env LINKEDIN_MCP_HOST, default 127.0.0.1)
+  --base-url <url>       LinkedIn API base URL        (env LINKEDIN_API_BASE_URL)
+  --api-version <v>      LinkedIn-Version header      (env LINKEDIN_API_VERSION)
+  --queue-file <path>    Scheduled/draft post queue   (env LINKEDIN_MCP_QUEUE_FILE,
+                                                       default ~/.linkedin-mcp/post-queue.json)
+  --audit-file <path>    Audit log of write tools     (env LINKEDIN_MCP_AUDIT_FILE,
+                                                       default ~/.linkedin-mcp/audit-log.json)
+  --skip-confirmation    Run write tools without a    (env LINKEDIN_MCP_SKIP_CONFIRMATION=1)
+                         confirmed preview
+  --read-only            Hide all write tools         (env LINKEDIN_MCP_READ_ONLY=1)
+  --disable-tool <name>  Hide a tool; repeatable      (env LINKEDIN_MCP_DISABLED_TOOLS,
+                                                       comma-separated)
+  --tool-timeout <t=s>   Abort tool t after s seconds (env LINKEDIN_MCP_TOOL_TIMEOUTS,
+                         e.g. create_post=300;         comma-separated; default 60,
+                         repeatable                    180 for create_post)
+  --rate-limit <n>       HTTP requests per minute     (env LINKEDIN_MCP_RATE_LIMIT,
+                         per client address            default 120, 0 disables)
+  --allowed-origin <o>   Browser origin allowed to    (env LINKEDIN_MCP_ALLOWED_ORIGINS,
+                         call /mcp; repeatable         comma-separated; '*' allows any)
+  --api-key <key>        Require this key on HTTP     (env LINKEDIN_MCP_API_KEYS,
+                         requests; repeatable          comma-separated)
+  --require-token        Require a LinkedIn bearer    (env LINKEDIN_MCP_REQUIRE_TOKEN=1)
+                         token on HTTP requests
+  -h, --help             Show this help
+  -v, --version          Show the version
+`;
+
+/**
+ * Build the server configuration from argv (without node and script) and an environment
+ * @throws {Error} on unknown flags or invalid values
+ */
+function loadConfig(argv = process.argv.slice(2), env = process.env) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            'token': { type: 'string' },
+            'demo': { type: 'boolean' },
+            'log-level': { type: 'string' },
+            'log-format': { type: 'string' },
+            'http': { type: 'boolean' },
+            'port': { type: 'string' },
+            'host': { type: 'string' },
+            'base-url': { type: 'string' },
+            'api-version': { type: 'string' },
+            'queue-file': { type: 'string' },
+            'audit-file': { type: 'string' },
+            'skip-confirmation': { type: 'boolean' },
+            'read-only': { type: 'boolean' },
+            'disable-tool': { type: 'string', multiple: true },
+            'tool-timeout': { type: 'string', multiple: true },
+            'rate-limit': { type: 'string' },
+            'allowed-origin': { type: 'string', multiple: true },
+            'api-key': { type: 'string', multiple: true },
+            'require-token': { type: 'boolean' },
+            'help': { type: 'boolean', short: 'h' },
+            'version': { type: 'boolean', short: 'v' }
+        },
+        strict: true
+    });
+
+    // Throws on unknown levels; 'warn' is still accepted for 'warning'
+    const logLevel = Logger.normalizeLevel(values['log-level'] || env.LINKEDIN_MCP_LOG_LEVEL || 'info');
+
+    const logFormat = values['log-format'] || env.LINKEDIN_MCP_LOG_FORMAT || 'text';
+    if (!LOG_FORMATS.includes(logFormat)) {
+        throw new Error('Invalid log format "' + logFormat + '"; use one of ' + LOG_FORMATS.join(', '));
+    }
+
+    const portValue = values.port || env.LINKEDIN_MCP_PORT;
+    const port = portValue ? Number(portValue) : 3000;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error('Invalid port "' + portValue + '"');
+    }
+
+    const rateLimitValue = values['rate-limit'] || env.LINKEDIN_MCP_RATE_LIMIT;
+    const rateLimit = rateLimitValue ? Number(rateLimitValue) : 120;
+    if (!Number.isInteger(rateLimit) || rateLimit < 0) {
+        throw new Error('Invalid rate limit "' + rateLimitValue + '"');
+    }
+
+    const allowedOrigins = values['allowed-origin'] || splitList(env.LINKEDIN_MCP_ALLOWED_ORIGINS);
+    allowedOrigins.forEach(origin => {
+        if (origin !== '*' && !isOrigin(origin)) {
+            throw new Error('Invalid origin "' + origin + '"; use scheme://host[:port], e.g. https://app.example.com');
+        }
+    });
+
+    const toolTimeouts = {};
+    (values['tool-timeout'] || splitList(env.LINKEDIN_MCP_TOOL_TIMEOUTS)).forEach(setting => {
+        const [tool, seconds] = setting.split('=');
+        if (!tool || !(Number(seconds) > 0)) {
+            throw new Error('Invalid tool timeout "' + setting + '"; use tool=seconds, e.g. create_post=300');
+        }
+        toolTimeouts[tool.trim()] = Number(seconds) * 1000;
+    });
+
+    return {
+        help: Boolean(values.help),
+        version: Boolean(values.version),
+        token: values.token || env.LINKEDIN_ACCESS_TOKEN || null,
+        demo: Boolean(values.demo) || isTruthy(env.LINKEDIN_MCP_DEMO),
+        logLevel: logLevel,
+        logFormat: logFormat,
+        transport: values.http || values.port ? 'http' : 'stdio',
+        http: {
+            port: port,
+            host: values.host || env.LINKEDIN_MCP_HOST || '127.0.0.1',
+            rateLimit: rateLimit,
+            allowedOrigins: allowedOrigins,
+            apiKeys: values['api-key'] || splitList(env.LINKEDIN_MCP_API_KEYS),
+            requireToken: Boolean(values['require-token']) || isTruthy(env.LINKEDIN_MCP_REQUIRE_TOKEN)
+        },
+        linkedin: {
+            baseUrl: values['base-url'] || env.LINKEDIN_API_BASE_URL || undefined,
+            version: values['api-version'] || env.LINKEDIN_API_VERSION || undefined
+        },
+        confirmWrites: !(values['skip-confirmation'] || isTruthy(env.LINKEDIN_MCP_SKIP_CONFIRMATION)),
+        readOnly: Boolean(values['read-only']) || isTruthy(env.LINKEDIN_MCP_READ_ONLY),
+        disabledTools: values['disable-tool'] || splitList(env.LINKEDIN_MCP_DISABLED_TOOLS),
+        toolTimeouts: toolTimeouts,
+        queueFile: path.resolve(
+            values['queue-file'] || env.LINKEDIN_MCP_QUEUE_FILE ||
+                path.join(os.homedir(), '.linkedin-mcp', 'post-queue.json')
+        ),
+        auditFile: path.resolve(
+            values['audit-file'] || env.LINKEDIN_MCP_AUDIT_FILE ||
+                path.join(os.homedir(), '.linkedin-mcp', 'audit-log.json')
+        )
+    };
+}
+
+function splitList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function isOrigin(value) {
+    try {
+        return new URL(value).origin === value;
+    } catch (error) {
+        return false;
+    }
+}
+
+function isTruthy(value) {
+    return value !== undefined && ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+module.exports = { loadConfig, LOG_FORMATS, USAGE };
@@ -0,0 +1,104 @@
+/**
+ * JSON file key-value store for Node.js
+ * Same interface as IndexedDBStore/MemoryStore. The whole file is rewritten on every
+ * change (via a temporary file and rename), which suits small stores like the post queue.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class FileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        // A Map, so keys like "constructor" or "__proto__" are plain keys
+        this.data = null;
+        // Serializes loads and writes so concurrent changes are never lost
+        this.pending = Promise.resolve();
+    }
+
+    async load() {
+        if (!this.data) {
+            try {
+                this.data = new Map(Object.entries(JSON.parse(await fs.readFile(this.filePath, 'utf8'))));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                this.data = new Map();
+            }
+        }
+        return this.data;
+    }
+
+    /**
+     * Queue an operation behind earlier ones. Operations that may change data return
+     * { value, changed }, and the file is only rewritten when something changed.
+     */
+    run(operation, write = false) {
+        const result = this.pending.then(async () => {
+            const outcome = operation(await this.load());
+            if (!write) {
+                return outcome;
+            }
+            if (outcome.changed) {
+                await this.save();
+            }
+            return outcome.value;
+        });
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    async save() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const temporary = this.filePath + '.' + process.pid + '.tmp';
+        // Object.fromEntries defines own properties, so "__proto__" is written like any other key
+        await fs.writeFile(temporary, JSON.stringify(Object.fromEntries(this.data), null, 2));
+        await fs.rename(temporary, this.filePath);
+    }
+
+    async get(key) {
+        return this.run(data => data.get(key));
+    }
+
+    async set(key, value) {
+        await this.run(data => {
+            const changed = !FileStore.isSame(data.get(key), value) || !data.has(key);
+            data.set(key, value);
+            return { changed: changed };
+        }, true);
+    }
+
+    async delete(key) {
+        await this.run(data => ({ changed: data.delete(key) }), true);
+    }
+
+    /**
+     * Read-modify-write behind earlier operations; change(value) returns the new value,
+     * or undefined to leave the key as it is
+     */
+    async update(key, change) {
+        return this.run(data => {
+            const current = data.get(key);
+            const result = change(current);
+            const changed = result !== undefined && !FileStore.isSame(current, result);
+            if (changed) {
+                data.set(key, result);
+            }
+            return { value: result, changed: changed };
+        }, true);
+    }
+
+    async values() {
+        return this.run(data => Array.from(data.values()));
+    }
+
+    /**
+     * Whether two stored values would be written the same way
+     */
+    static isSame(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+module.exports = { FileStore };
@@ -0,0 +1,104 @@
+/**
+ * Node.js HTTP server for the Streamable HTTP transport
+ * Bridges node:http requests to the Fetch API Request/Response objects that
+ * StreamableHTTPTransport (shared with the service worker) works with.
+ */
+
+const http = require('http');
+
+/**
+ * @param {StreamableHTTPTransport} transport
+ * @param {object} options - { path, logger }
+ */
+function createHttpServer(transport, options = {}) {
+    const path = options.path || '/mcp';
+    const logger = options.logger || console;
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://' + (req.headers.host || 'localhost'));
+
+        if (url.pathname.startsWith('/.well-known/oauth-protected-resource')) {
+            await sendFetchResponse(transport.handleResourceMetadata(await toFetchRequest(req, url)), res);
+            return;
+        }
+
+        if (url.pathname !== path) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not Found');
+            return;
+        }
+
+        // Aborts the request's signal when the client disconnects before it is answered
+        const disconnected = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                disconnected.abort();
+            }
+        });
+
+        try {
+            const response = await transport.handleRequest(await toFetchRequest(req, url, disconnected.signal), {
+                clientAddress: req.socket.remoteAddress
+            });
+            await sendFetchResponse(response, res);
+        } catch (error) {
+            logger.error('HTTP request failed:', error);
+            if (!res.headersSent) {
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+            }
+            res.end();
+        }
+    });
+}
+
+async function toFetchRequest(req, url, signal) {
+    const headers = new Headers();
+    Object.entries(req.headers).forEach(([name, value]) => {
+        headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+    });
+
+    let body;
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        body = Buffer.concat(chunks);
+    }
+
+    return new Request(url, {
+        method: req.method,
+        headers: headers,
+        body: body,
+        signal: signal
+    });
+}
+
+/**
+ * Write a Fetch API Response to a node:http response, streaming SSE bodies as they arrive
+ */
+async function sendFetchResponse(response, res) {
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+
+    if (!response.body) {
+        res.end();
+        return;
+    }
+
+    // Send headers right away so SSE clients see the stream open
+    res.flushHeaders();
+
+    const reader = response.body.getReader();
+    res.on('close', () => reader.cancel().catch(() => {}));
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        res.write(value);
+    }
+    res.end();
+}
+
+module.exports = { createHttpServer, toFetchRequest, sendFetchResponse };
@@ -0,0 +1,903 @@
+/**
+ * Local LinkedIn API simulator
+ * A stateful stand-in for the LinkedIn endpoints LinkedInClient and LinkedInOAuth use:
+ * OAuth token issuance, userinfo, posts, media uploads, comments, reactions, organizations,
+ * organization ACLs and statistics. State starts from a seed and changes with every call,
+ * so a created post can be read back; IDs and numbers are deterministic for a given seed.
+ * Faults (401, 403, 429, 5xx) and latency can be injected to exercise error handling.
+ *
+ * Use it in-process through simulator.fetch (the LinkedInClient fetch option), or over
+ * HTTP with createSimulatorServer() and point --base-url (or MCPConfig.linkedin.apiBaseUrl) at it.
+ * Control endpoints live under /_simulator/: POST reset, POST/DELETE faults, PUT latency, GET state.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { toFetchRequest, sendFetchResponse } = require('./httpServer');
+
+class LinkedInSimulator {
+    /**
+     * @param {object} options - { seed, latencyMs, now, tokenTtlSeconds }; seed is an object shaped
+     *                          like LinkedInSimulator.DEFAULT_SEED and now() returns epoch milliseconds
+     */
+    constructor(options = {}) {
+        this.latencyMs = options.latencyMs || 0;
+        this.now = options.now || Date.now;
+        this.tokenTtlSeconds = options.tokenTtlSeconds || 60 * 24 * 60 * 60;
+        this.fetch = (url, init) => this.handle(new Request(url, init));
+        this.reset(options.seed);
+    }
+
+    /**
+     * Replace all state with a copy of seed; faults and the request log are cleared too
+     */
+    reset(seed = LinkedInSimulator.DEFAULT_SEED) {
+        const data = JSON.parse(JSON.stringify(seed));
+        this.member = data.member;
+        this.organizations = data.organizations || [];
+        this.acls = data.acls || [];
+        this.posts = data.posts || [];
+        this.comments = data.comments || {};
+        this.reactions = data.reactions || {};
+        this.tokens = new Map((data.tokens || []).map(token => [token.accessToken, token]));
+        this.refreshTokens = new Map();
+        this.authorizationCodes = new Map();
+        this.uploads = new Map();
+        this.faults = [];
+        this.requests = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Fail matching requests instead of answering them
+     * @param {object} fault - { status, method, path (prefix of the path and query), times (default 1),
+     *                         retryAfter (seconds, sent as Retry-After), message, delayMs }
+     */
+    injectFault(fault) {
+        this.faults.push(Object.assign({ times: 1 }, fault));
+    }
+
+    clearFaults() {
+        this.faults = [];
+    }
+
+    /**
+     * Answer a Fetch API Request like LinkedIn would
+     * @returns {Promise<Response>}
+     */
+    async handle(request) {
+        const url = new URL(request.url);
+        if (request.method === 'OPTIONS') {
+            return LinkedInSimulator.respond(204, null);
+        }
+        if (url.pathname.startsWith('/_simulator/')) {
+            return this.handleControl(request, url);
+        }
+
+        const fault = this.takeFault(request.method, url.pathname + url.search);
+        const delay = this.latencyMs + (fault && fault.delayMs || 0);
+        if (delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        let response;
+        if (fault && fault.status) {
+            response = LinkedInSimulator.error(fault.status, fault.message || 'Injected failure', fault.retryAfter
+                ? { 'Retry-After': String(fault.retryAfter) }
+                : {});
+        } else {
+            try {
+                response = await this.route(request, url);
+            } catch (error) {
+                response = error instanceof SimulatedError
+                    ? LinkedInSimulator.error(error.status, error.message)
+                    : LinkedInSimulator.error(500, 'Simulator error: ' + error.message);
+            }
+        }
+
+        this.requests.push({ method: request.method, path: url.pathname + url.search, status: response.status });
+        return response;
+    }
+
+    takeFault(method, path) {
+        const fault = this.faults.find(candidate =>
+            (!candidate.method || candidate.method === method) &&
+            (!candidate.path || path.startsWith(candidate.path))
+        );
+        if (fault && --fault.times <= 0) {
+            this.faults.splice(this.faults.indexOf(fault), 1);
+        }
+        return fault || null;
+    }
+
+    async route(request, url) {
+        const method = request.method;
+        const path = url.pathname;
+        const query = url.searchParams;
+
+        if (path === '/oauth/v2/authorization' && method === 'GET') {
+            return this.authorize(query);
+        }
+        if (path === '/oauth/v2/accessToken' && method === 'POST') {
+            return this.issueToken(new URLSearchParams(await request.text()));
+        }
+
+        // Uploads go to the URL initializeUpload handed out, which carries its own authorization
+        const upload = path.match(/^\/uploads\/([\w-]+)$/);
+        if (upload && method === 'PUT') {
+            return this.receiveUpload(upload[1], request);
+        }
+
+        const token = this.authenticate(request);
+        const body = method === 'POST' ? await LinkedInSimulator.readJson(request) : null;
+        const restliMethod = (request.headers.get('X-RestLi-Method') || '').toUpperCase();
+        let match;
+
+        if (path === '/v2/userinfo' && method === 'GET') {
+            this.requireScope(token, 'openid');
+            return LinkedInSimulator.respond(200, this.describeUserinfo());
+        }
+        if (path === '/v2/me' && method === 'GET') {
+            return LinkedInSimulator.respond(200, {
+                id: this.member.id,
+                localizedFirstName: this.member.firstName,
+                localizedLastName: this.member.lastName,
+                localizedHeadline: this.member.headline
+            });
+        }
+
+        if (path === '/rest/posts' && method === 'GET' && query.get('q') === 'author') {
+            return this.listPosts(query);
+        }
+        if (path === '/rest/posts' && method === 'POST') {
+            return this.createPost(token, body);
+        }
+        if ((match = path.match(/^\/rest\/posts\/([^/]+)$/))) {
+            const post = this.findPost(decodeURIComponent(match[1]));
+            if (method === 'GET') {
+                return LinkedInSimulator.respond(200, post);
+            }
+            if (method === 'POST' && restliMethod === 'PARTIAL_UPDATE') {
+                return this.updatePost(token, post, body);
+            }
+            if (method === 'DELETE') {
+                this.requireAuthor(token, post.author);
+                this.posts.splice(this.posts.indexOf(post), 1);
+                return LinkedInSimulator.respond(204, null);
+            }
+        }
+
+        if ((match = path.match(/^\/rest\/(images|documents)$/)) && method === 'POST' && query.get('action') === 'initializeUpload') {
+            return this.initializeUpload(token, match[1], body, url.origin);
+        }
+
+        if ((match = path.match(/^\/rest\/socialActions\/([^/]+)\/comments$/))) {
+            const post = this.findPost(decodeURIComponent(match[1]));
+            if (method === 'GET') {
+                return LinkedInSimulator.respond(200, LinkedInSimulator.page(this.comments[post.id] || [], query));
+            }
+            if (method === 'POST') {
+                return this.addComment(token, post, body);
+            }
+        }
+
+        if (path === '/rest/reactions' && method === 'POST') {
+            return this.addReaction(token, query.get('actor'), body);
+        }
+        if ((match = path.match(/^\/rest\/reactions\/\(actor:([^,]+),entity:([^)]+)\)$/)) && method === 'DELETE') {
+            return this.removeReaction(token, decodeURIComponent(match[1]), decodeURIComponent(match[2]));
+        }
+
+        if (path === '/rest/organizationAcls' && method === 'GET' && query.get('q') === 'roleAssignee') {
+            const acls = this.acls.filter(acl =>
+                (!query.get('role') || acl.role === query.get('role')) &&
+                (!query.get('state') || acl.state === query.get('state'))
+            );
+            return LinkedInSimulator.respond(200, LinkedInSimulator.page(acls, query));
+        }
+        if (path === '/rest/organizations' && method === 'GET') {
+            return this.lookupOrganizations(query);
+        }
+        if ((match = path.match(/^\/rest\/organizations\/([^/]+)$/)) && method === 'GET') {
+            return LinkedInSimulator.respond(200, this.findOrganization(decodeURIComponent(match[1])));
+        }
+
+        if (method === 'GET' && path === '/rest/organizationalEntityFollowerStatistics') {
+            return this.getFollowerStatistics(query);
+        }
+        if (method === 'GET' && path === '/rest/organizationPageStatistics') {
+            return this.getPageStatistics(query);
+        }
+        if (method === 'GET' && path === '/rest/organizationalEntityShareStatistics') {
+            return this.getShareStatistics(query);
+        }
+        if (method === 'GET' && path === '/rest/memberCreatorPostAnalytics') {
+            return this.getCreatorAnalytics(query);
+        }
+
+        throw new SimulatedError(404, 'No simulated endpoint for ' + method + ' ' + path);
+    }
+
+    /**
+     * Approve every authorization request right away and redirect back with a code
+     */
+    authorize(query) {
+        const redirectUri = query.get('redirect_uri');
+        if (query.get('response_type') !== 'code' || !query.get('client_id') || !redirectUri) {
+            return LinkedInSimulator.respond(400, {
+                error: 'invalid_request',
+                error_description: 'response_type=code, client_id and redirect_uri are required'
+            });
+        }
+
+        const code = this.nextId('code');
+        this.authorizationCodes.set(code, {
+            clientId: query.get('client_id'),
+            redirectUri: redirectUri,
+            scope: query.get('scope') || LinkedInSimulator.DEFAULT_SCOPE,
+            challenge: query.get('code_challenge'),
+            expiresAt: this.now() + 10 * 60 * 1000
+        });
+
+        const location = new URL(redirectUri);
+        location.searchParams.set('code', code);
+        if (query.get('state')) {
+            location.searchParams.set('state', query.get('state'));
+        }
+        return LinkedInSimulator.respond(302, null, { 'Location': location.toString() });
+    }
+
+    /**
+     * Token endpoint: authorization_code (with PKCE when a challenge was sent) and refresh_token grants
+     */
+    issueToken(form) {
+        const invalid = description => LinkedInSimulator.respond(400, {
+            error: 'invalid_grant',
+            error_description: description
+        });
+        let scope;
+
+        if (form.get('grant_type') === 'authorization_code') {
+            const grant = this.authorizationCodes.get(form.get('code'));
+            this.authorizationCodes.delete(form.get('code'));
+            if (!grant || grant.expiresAt <= this.now()) {
+                return invalid('The authorization code is invalid or expired');
+            }
+            if (grant.redirectUri !== form.get('redirect_uri') || grant.clientId !== form.get('client_id')) {
+                return invalid('redirect_uri or client_id does not match the authorization request');
+            }
+            if (grant.challenge && LinkedInSimulator.base64Url(
+                crypto.createHash('sha256').update(form.get('code_verifier') || '').digest()
+            ) !== grant.challenge) {
+                return invalid('The code_verifier does not match the code_challenge');
+            }
+            scope = grant.scope;
+        } else if (form.get('grant_type') === 'refresh_token') {
+            const refresh = this.refreshTokens.get(form.get('refresh_token'));
+            if (!refresh || refresh.expiresAt <= this.now()) {
+                return invalid('The refresh token is invalid or expired');
+            }
+            scope = refresh.scope;
+        } else {
+            return LinkedInSimulator.respond(400, {
+                error: 'unsupported_grant_type',
+                error_description: 'Use authorization_code or refresh_token'
+            });
+        }
+
+        const accessToken = this.nextId('access-token');
+        const refreshToken = this.nextId('refresh-token');
+        const refreshTtlSeconds = 365 * 24 * 60 * 60;
+        this.tokens.set(accessToken, {
+            accessToken: accessToken,
+            scope: scope,
+            expiresAt: this.now() + this.tokenTtlSeconds * 1000
+        });
+        this.refreshTokens.set(refreshToken, { scope: scope, expiresAt: this.now() + refreshTtlSeconds * 1000 });
+
+        return LinkedInSimulator.respond(200, {
+            access_token: accessToken,
+            expires_in: this.tokenTtlSeconds,
+            refresh_token: refreshToken,
+            refresh_token_expires_in: refreshTtlSeconds,
+            scope: scope
+        });
+    }
+
+    /**
+     * @throws {SimulatedError} 401 for a missing, unknown or expired bearer token
+     */
+    authenticate(request) {
+        const match = (request.headers.get('Authorization') || '').match(/^Bearer (.+)$/);
+        const token = match && this.tokens.get(match[1]);
+        if (!token || (token.expiresAt && token.expiresAt <= this.now())) {
+            throw new SimulatedError(401, 'Invalid access token');
+        }
+        return token;
+    }
+
+    requireScope(token, scope) {
+        if (!(token.scope || '').split(/[\s,]+/).includes(scope)) {
+            throw new SimulatedError(403, 'Not enough permissions to access this resource (needs ' + scope + ')');
+        }
+    }
+
+    /**
+     * Writes as the member need w_member_social; writes as an organization need
+     * w_organization_social and a publishing role on it
+     */
+    requireAuthor(token, author) {
+        if (author === this.memberUrn()) {
+            this.requireScope(token, 'w_member_social');
+            return;
+        }
+        this.requireScope(token, 'w_organization_social');
+        this.requireRole(author, ['ADMINISTRATOR', 'CONTENT_ADMINISTRATOR']);
+    }
+
+    requireRole(organizationUrn, roles) {
+        const allowed = this.acls.some(acl =>
+            acl.organization === organizationUrn && acl.state === 'APPROVED' && roles.includes(acl.role)
+        );
+        if (!allowed) {
+            throw new SimulatedError(403, 'Member has no ' + roles.join(' or ') + ' role on ' + organizationUrn);
+        }
+    }
+
+    memberUrn() {
+        return 'urn:li:person:' + this.member.id;
+    }
+
+    describeUserinfo() {
+        return {
+            sub: this.member.id,
+            name: this.member.firstName + ' ' + this.member.lastName,
+            given_name: this.member.firstName,
+            family_name: this.member.lastName,
+            email: this.member.email,
+            email_verified: true,
+            picture: this.member.picture || null,
+            locale: { country: 'US', language: 'en' }
+        };
+    }
+
+    listPosts(query) {
+        const posts = this.posts
+            .filter(post => post.author === query.get('author'))
+            .sort((a, b) => b.lastModifiedAt - a.lastModifiedAt);
+        return LinkedInSimulator.respond(200, LinkedInSimulator.page(posts, query));
+    }
+
+    createPost(token, body) {
+        if (!body || !body.author || typeof body.commentary !== 'string') {
+            throw new SimulatedError(422, 'author and commentary are required');
+        }
+        this.requireAuthor(token, body.author);
+        this.checkContent(body.content);
+
+        const now = this.now();
+        const post = Object.assign({}, body, {
+            id: 'urn:li:share:' + this.nextId(''),
+            createdAt: now,
+            lastModifiedAt: now
+        });
+        this.posts.unshift(post);
+        return LinkedInSimulator.respond(201, null, { 'x-restli-id': post.id });
+    }
+
+    /**
+     * Media must have been initialized and uploaded before it can be attached
+     */
+    checkContent(content) {
+        const ids = [];
+        if (content && content.media) {
+            ids.push(content.media.id);
+        }
+        if (content && content.multiImage) {
+            content.multiImage.images.forEach(image => ids.push(image.id));
+        }
+        ids.forEach(id => {
+            const upload = Array.from(this.uploads.values()).find(candidate => candidate.urn === id);
+            if (!upload || !upload.uploaded) {
+                throw new SimulatedError(422, 'Media ' + id + ' has not been uploaded');
+            }
+        });
+    }
+
+    updatePost(token, post, body) {
+        this.requireAuthor(token, post.author);
+        const changes = body && body.patch && body.patch.$set;
+        if (!changes) {
+            throw new SimulatedError(400, 'PARTIAL_UPDATE needs a patch.$set body');
+        }
+        Object.assign(post, changes, { lastModifiedAt: this.now() });
+        return LinkedInSimulator.respond(204, null);
+    }
+
+    findPost(urn) {
+        const post = this.posts.find(candidate => candidate.id === urn);
+        if (!post) {
+            throw new SimulatedError(404, 'Post ' + urn + ' does not exist');
+        }
+        return post;
+    }
+
+    initializeUpload(token, kind, body, origin) {
+        const owner = body && body.initializeUploadRequest && body.initializeUploadRequest.owner;
+        if (!owner) {
+            throw new SimulatedError(422, 'initializeUploadRequest.owner is required');
+        }
+        this.requireAuthor(token, owner);
+
+        const id = this.nextId(kind === 'documents' ? 'document' : 'image');
+        const urn = kind === 'documents' ? 'urn:li:document:' + id : 'urn:li:image:' + id;
+        this.uploads.set(id, { urn: urn, owner: owner, uploaded: false, bytes: 0 });
+
+        const value = { uploadUrl: origin + '/uploads/' + id, uploadUrlExpiresAt: this.now() + 60 * 60 * 1000 };
+        value[kind === 'documents' ? 'document' : 'image'] = urn;
+        return LinkedInSimulator.respond(200, { value: value });
+    }
+
+    async receiveUpload(id, request) {
+        const upload = this.uploads.get(id);
+        if (!upload) {
+            throw new SimulatedError(404, 'Unknown upload ' + id);
+        }
+        upload.bytes = (await request.arrayBuffer()).byteLength;
+        upload.uploaded = true;
+        return LinkedInSimulator.respond(201, null);
+    }
+
+    addComment(token, post, body) {
+        const actor = body && body.actor;
+        this.requireAuthor(token, actor);
+
+        const comments = this.comments[post.id] || (this.comments[post.id] = []);
+        const comment = {
+            id: 'urn:li:comment:(' + post.id + ',' + this.nextId('') + ')',
+            actor: actor,
+            object: post.id,
+            message: { text: body.message && body.message.text },
+            created: { time: this.now() }
+        };
+        comments.push(comment);
+        return LinkedInSimulator.respond(201, comment, { 'x-restli-id': comment.id });
+    }
+
+    addReaction(token, actor, body) {
+        this.requireAuthor(token, actor);
+        const post = this.findPost(body && body.root);
+
+        const reactions = (this.reactions[post.id] || []).filter(reaction => reaction.actor !== actor);
+        reactions.push({ actor: actor, reactionType: body.reactionType, created: { time: this.now() } });
+        this.reactions[post.id] = reactions;
+        return LinkedInSimulator.respond(201, null);
+    }
+
+    removeReaction(token, actor, entity) {
+        this.requireAuthor(token, actor);
+        const reactions = this.reactions[entity] || [];
+        if (!reactions.some(reaction => reaction.actor === actor)) {
+            throw new SimulatedError(404, 'No reaction by ' + actor + ' on ' + entity);
+        }
+        this.reactions[entity] = reactions.filter(reaction => reaction.actor !== actor);
+        return LinkedInSimulator.respond(204, null);
+    }
+
+    /**
+     * Batch get (ids=List(...)) or vanity name search
+     */
+    lookupOrganizations(query) {
+        const ids = (query.get('ids') || '').match(/^List\((.*)\)$/);
+        if (ids) {
+            const results = {};
+            ids[1].split(',').filter(Boolean).forEach(id => {
+                const organization = this.organizations.find(candidate => candidate.id === id);
+                if (organization) {
+                    results[id] = organization;
+                }
+            });
+            return LinkedInSimulator.respond(200, { results: results });
+        }
+        if (query.get('q') === 'vanityName') {
+            return LinkedInSimulator.respond(200, {
+                elements: this.organizations.filter(organization => organization.vanityName === query.get('vanityName'))
+            });
+        }
+        throw new SimulatedError(400, 'Use ids=List(...) or q=vanityName');
+    }
+
+    findOrganization(id) {
+        const organization = this.organizations.find(candidate => candidate.id === id);
+        if (!organization) {
+            throw new SimulatedError(404, 'Organization ' + id + ' does not exist');
+        }
+        return organization;
+    }
+
+    getFollowerStatistics(query) {
+        const organization = query.get('organizationalEntity');
+        this.requireRole(organization, ['ADMINISTRATOR']);
+        const counts = weight => ({ organicFollowerCount: 40 * weight, paidFollowerCount: 2 * weight });
+
+        if (query.get('timeIntervals')) {
+            return this.respondWithSeries(query, organization, value => ({
+                followerGains: { organicFollowerGain: value % 11, paidFollowerGain: value % 3 }
+            }));
+        }
+        return LinkedInSimulator.respond(200, {
+            elements: [LinkedInSimulator.demographics('followerCounts', counts, {
+                seniority: 'followerCountsBySeniority',
+                industry: 'followerCountsByIndustry',
+                geo: 'followerCountsByGeoCountry',
+                function: 'followerCountsByFunction'
+            })]
+        });
+    }
+
+    getPageStatistics(query) {
+        const organization = query.get('organization');
+        this.requireRole(organization, ['ADMINISTRATOR']);
+        const views = weight => ({
+            views: {
+                allPageViews: { pageViews: 90 * weight, uniquePageViews: 55 * weight },
+                allDesktopPageViews: { pageViews: 60 * weight },
+                allMobilePageViews: { pageViews: 30 * weight }
+            }
+        });
+
+        if (query.get('timeIntervals')) {
+            return this.respondWithSeries(query, organization, value => ({
+                totalPageStatistics: views(1 + value % 5)
+            }));
+        }
+        return LinkedInSimulator.respond(200, {
+            elements: [LinkedInSimulator.demographics('pageStatistics', views, {
+                seniority: 'pageStatisticsBySeniority',
+                industry: 'pageStatisticsByIndustry',
+                geo: 'pageStatisticsByGeoCountry',
+                function: 'pageStatisticsByFunction'
+            })]
+        });
+    }
+
+    /**
+     * Organization-wide share statistics, or per post with shares=List(...) / ugcPosts=List(...);
+     * per-post counts include the comments and reactions made in the simulator
+     */
+    getShareStatistics(query) {
+        const organization = query.get('organizationalEntity');
+        this.requireRole(organization, ['ADMINISTRATOR', 'CONTENT_ADMINISTRATOR', 'ANALYST']);
+        const posts = (query.get('shares') || query.get('ugcPosts') || '').match(/^List\((.*)\)$/);
+
+        if (posts) {
+            return LinkedInSimulator.respond(200, {
+                elements: posts[1].split(',').map(urn => ({
+                    organizationalEntity: organization,
+                    share: urn,
+                    totalShareStatistics: this.postStatistics(urn)
+                }))
+            });
+        }
+        if (query.get('timeIntervals')) {
+            return this.respondWithSeries(query, organization, value => ({
+                totalShareStatistics: LinkedInSimulator.shareStatistics(value)
+            }));
+        }
+        return LinkedInSimulator.respond(200, {
+            elements: [{
+                organizationalEntity: organization,
+                totalShareStatistics: LinkedInSimulator.shareStatistics(LinkedInSimulator.hash(organization))
+            }]
+        });
+    }
+
+    getCreatorAnalytics(query) {
+        const entity = (query.get('entity') || '').match(/^\((?:share|ugc):(.+)\)$/);
+        if (!entity) {
+            throw new SimulatedError(400, 'entity must be (share:urn) or (ugc:urn)');
+        }
+        const post = this.findPost(entity[1]);
+        if (post.author !== this.memberUrn()) {
+            throw new SimulatedError(403, 'Creator analytics are only available for your own posts');
+        }
+
+        const statistics = this.postStatistics(post.id);
+        const counts = {
+            IMPRESSION: statistics.impressionCount,
+            MEMBERS_REACHED: statistics.uniqueImpressionsCount,
+            REACTION: statistics.likeCount,
+            COMMENT: statistics.commentCount,
+            RESHARE: statistics.shareCount
+        };
+        return LinkedInSimulator.respond(200, { elements: [{ count: counts[query.get('queryType')] || 0 }] });
+    }
+
+    postStatistics(urn) {
+        const statistics = LinkedInSimulator.shareStatistics(LinkedInSimulator.hash(urn));
+        statistics.likeCount += (this.reactions[urn] || []).length;
+        statistics.commentCount += (this.comments[urn] || []).length;
+        return statistics;
+    }
+
+    /**
+     * One element per DAY or MONTH bucket of the timeIntervals range, with counts from values(n)
+     */
+    respondWithSeries(query, organization, values) {
+        const interval = query.get('timeIntervals')
+            .match(/timeRange:\(start:(\d+),end:(\d+)\),timeGranularityType:(DAY|MONTH)/);
+        if (!interval) {
+            throw new SimulatedError(400, 'Invalid timeIntervals ' + query.get('timeIntervals'));
+        }
+
+        const end = Number(interval[2]);
+        const elements = [];
+        for (let start = new Date(Number(interval[1])); start.getTime() < end;) {
+            const next = new Date(start);
+            if (interval[3] === 'MONTH') {
+                next.setUTCMonth(next.getUTCMonth() + 1);
+            } else {
+                next.setUTCDate(next.getUTCDate() + 1);
+            }
+            elements.push(Object.assign({
+                timeRange: { start: start.getTime(), end: Math.min(next.getTime(), end) }
+            }, values(LinkedInSimulator.hash(organization + start.getTime()))));
+            start = next;
+        }
+        return LinkedInSimulator.respond(200, { elements: elements });
+    }
+
+    /**
+     * Control API for tests driving the simulator over HTTP
+     */
+    async handleControl(request, url) {
+        const body = ['POST', 'PUT'].includes(request.method) ? await LinkedInSimulator.readJson(request) : null;
+
+        switch (request.method + ' ' + url.pathname) {
+            case 'POST /_simulator/reset':
+                this.reset(body || undefined);
+                return LinkedInSimulator.respond(204, null);
+            case 'POST /_simulator/faults':
+                if (!body || !body.status) {
+                    return LinkedInSimulator.error(400, 'A fault needs a status');
+                }
+                this.injectFault(body);
+                return LinkedInSimulator.respond(204, null);
+            case 'DELETE /_simulator/faults':
+                this.clearFaults();
+                return LinkedInSimulator.respond(204, null);
+            case 'PUT /_simulator/latency':
+                this.latencyMs = Math.max(0, Number(body && body.ms) || 0);
+                return LinkedInSimulator.respond(204, null);
+            case 'GET /_simulator/state':
+                return LinkedInSimulator.respond(200, this.getState());
+            default:
+                return LinkedInSimulator.error(404, 'Unknown simulator control ' + request.method + ' ' + url.pathname);
+        }
+    }
+
+    /**
+     * Current data plus pending faults and the log of API requests, for assertions
+     */
+    getState() {
+        return {
+            member: this.member,
+            organizations: this.organizations,
+            acls: this.acls,
+            posts: this.posts,
+            comments: this.comments,
+            reactions: this.reactions,
+            uploads: Array.from(this.uploads.values()),
+            faults: this.faults,
+            latencyMs: this.latencyMs,
+            requests: this.requests
+        };
+    }
+
+    nextId(prefix) {
+        this.sequence++;
+        return prefix ? prefix + '-' + this.sequence : String(7100000000000000000n + BigInt(this.sequence));
+    }
+
+    static page(elements, query) {
+        const start = Number(query.get('start')) || 0;
+        const count = Number(query.get('count')) || 10;
+        return {
+            elements: elements.slice(start, start + count),
+            paging: { start: start, count: count, total: elements.length }
+        };
+    }
+
+    /**
+     * Lifetime counts for each seeded demographic facet, scaled by fixed weights
+     */
+    static demographics(countsProperty, counts, properties) {
+        const facets = {
+            seniority: [['urn:li:seniority:3', 5], ['urn:li:seniority:4', 8], ['urn:li:seniority:5', 4]],
+            industry: [['urn:li:industry:4', 9], ['urn:li:industry:96', 6]],
+            geo: [['urn:li:geo:103644278', 12], ['urn:li:geo:101165590', 3]],
+            function: [['urn:li:function:8', 10], ['urn:li:function:13', 4]]
+        };
+        const element = {};
+        Object.keys(properties).forEach(facet => {
+            element[properties[facet]] = facets[facet].map(([urn, weight]) => {
+                const entry = { [countsProperty]: counts(weight) };
+                entry[facet] = urn;
+                return entry;
+            });
+        });
+        return element;
+    }
+
+    static shareStatistics(value) {
+        const impressions = 400 + value % 1500;
+        const clicks = 10 + value % 60;
+        const likes = 5 + value % 40;
+        const comments = value % 9;
+        const shares = value % 5;
+        return {
+            impressionCount: impressions,
+            uniqueImpressionsCount: Math.round(impressions * 0.7),
+            clickCount: clicks,
+            likeCount: likes,
+            commentCount: comments,
+            shareCount: shares,
+            engagement: Number(((clicks + likes + comments + shares) / impressions).toFixed(4))
+        };
+    }
+
+    static hash(text) {
+        return Array.from(String(text)).reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 1000003, 7);
+    }
+
+    static base64Url(bytes) {
+        return Buffer.from(bytes).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static async readJson(request) {
+        const text = await request.text();
+        if (!text) {
+            return null;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new SimulatedError(400, 'Request body is not valid JSON');
+        }
+    }
+
+    /**
+     * JSON response; every response allows cross-origin calls so the dashboard can use the simulator
+     */
+    static respond(status, body, headers = {}) {
+        return new Response(body === null ? null : JSON.stringify(body), {
+            status: status,
+            headers: Object.assign({
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Headers': '*',
+                'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+                'Access-Control-Expose-Headers': 'x-restli-id, Retry-After'
+            }, body === null ? {} : { 'Content-Type': 'application/json' }, headers)
+        });
+    }
+
+    /**
+     * Error in LinkedIn's format: { status, serviceErrorCode, code, message }
+     */
+    static error(status, message, headers = {}) {
+        return LinkedInSimulator.respond(status, {
+            status: status,
+            serviceErrorCode: LinkedInSimulator.SERVICE_ERROR_CODES[status] || 0,
+            code: LinkedInSimulator.ERROR_CODES[status] || 'SERVER_ERROR',
+            message: message
+        }, headers);
+    }
+}
+
+/**
+ * Failure the simulator answers with instead of a regular response
+ */
+class SimulatedError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'SimulatedError';
+        this.status = status;
+    }
+}
+
+/**
+ * Serve a simulator over HTTP, e.g. for linkedin-mcp-server --base-url
+ * @returns {http.Server} call listen() on it
+ */
+function createSimulatorServer(simulator) {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://' + (req.headers.host || 'localhost'));
+        await sendFetchResponse(await simulator.handle(await toFetchRequest(req, url)), res);
+    });
+}
+
+LinkedInSimulator.DEFAULT_SCOPE = 'openid profile email w_member_social';
+
+LinkedInSimulator.ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'REVOKED_ACCESS_TOKEN',
+    403: 'ACCESS_DENIED',
+    404: 'NOT_FOUND',
+    422: 'UNPROCESSABLE_ENTITY',
+    429: 'TOO_MANY_REQUESTS'
+};
+
+LinkedInSimulator.SERVICE_ERROR_CODES = {
+    401: 65601,
+    403: 100,
+    429: 101
+};
+
+// The demo member and organizations (see DemoBackend), as LinkedIn's APIs return them
+LinkedInSimulator.DEFAULT_SEED = {
+    member: {
+        id: 'demo-user-id',
+        firstName: 'Demo',
+        lastName: 'User',
+        headline: 'Professional using MCP Server',
+        email: 'demo.user@example.com',
+        picture: null
+    },
+    organizations: [
+        {
+            id: 'demo123',
+            localizedName: 'Demo Tech Corp',
+            vanityName: 'demo-tech-corp',
+            localizedDescription: 'A sample technology company used for demo data.',
+            localizedWebsite: 'https://example.com/demo-tech-corp',
+            industries: ['urn:li:industry:4'],
+            staffCountRange: 'SIZE_51_TO_200',
+            locations: [{ address: { city: 'San Francisco', geographicArea: 'CA', country: 'US' } }]
+        },
+        {
+            id: 'demo456',
+            localizedName: 'Sample Innovations Inc',
+            vanityName: 'sample-innovations',
+            localizedDescription: 'A sample innovation consultancy used for demo data.',
+            localizedWebsite: 'https://example.com/sample-innovations',
+            industries: ['urn:li:industry:11'],
+            staffCountRange: 'SIZE_11_TO_50',
+            locations: [{ address: { city: 'New York', geographicArea: 'NY', country: 'US' } }]
+        }
+    ],
+    acls: [
+        { organization: 'urn:li:organization:demo123', role: 'ADMINISTRATOR', roleAssignee: 'urn:li:person:demo-user-id', state: 'APPROVED' },
+        { organization: 'urn:li:organization:demo456', role: 'MEMBER', roleAssignee: 'urn:li:person:demo-user-id', state: 'APPROVED' }
+    ],
+    posts: [
+        {
+            id: 'urn:li:share:7000000000000000001',
+            author: 'urn:li:organization:demo123',
+            commentary: 'We are hiring! Join the Demo Tech Corp engineering team. {hashtag|\\#|hiring}',
+            visibility: 'PUBLIC',
+            lifecycleState: 'PUBLISHED',
+            createdAt: 1736931600000,
+            lastModifiedAt: 1736931600000
+        },
+        {
+            id: 'urn:li:share:7000000000000000002',
+            author: 'urn:li:person:demo-user-id',
+            commentary: 'Excited to try the Model Context Protocol with LinkedIn! {hashtag|\\#|mcp}',
+            visibility: 'PUBLIC',
+            lifecycleState: 'PUBLISHED',
+            createdAt: 1736530200000,
+            lastModifiedAt: 1736530200000
+        }
+    ],
+    comments: {},
+    reactions: {},
+    // Accepted without going through OAuth, e.g. linkedin-mcp-server --token simulated-access-token
+    tokens: [
+        {
+            accessToken: 'simulated-access-token',
+            scope: 'openid profile email w_member_social r_member_social w_organization_social r_organization_social'
+        }
+    ]
+};
+
+module.exports = { LinkedInSimulator, createSimulatorServer };
@@ -0,0 +1,21 @@
+/**
+ * Logger for the Node.js server
+ * Always writes to stderr: stdout is reserved for the stdio transport.
+ */
+
+const { Logger } = require('../public/logger');
+
+/**
+ * @param {string} level - one of LOG_LEVELS ('warn' is accepted for 'warning')
+ * @param {object} stream - where lines go, stderr unless testing
+ * @param {string} format - 'text' or 'json' (one object per line)
+ */
+function createLogger(level = 'info', stream = process.stderr, format = 'text') {
+    return new Logger({
+        level: level,
+        format: format,
+        write: line => stream.write(line + '\n')
+    });
+}
+
+module.exports = { createLogger };
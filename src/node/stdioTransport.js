@@ -0,0 +1,70 @@
+/**
+ * Stdio transport for MCP
+ * Newline-delimited JSON-RPC on stdin/stdout, as used by Claude Desktop and other
+ * local MCP clients. stdout carries protocol messages only; log to stderr.
+ */
+
+const readline = require('readline');
+
+class StdioTransport {
+    /**
+     * @param {MCPServer} server - the single server instance for this connection
+     * @param {object} options - { input, output, logger, context }
+     */
+    constructor(server, options = {}) {
+        this.server = server;
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.logger = options.logger || console;
+        this.context = options.context || {};
+        this.pending = new Set();
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Start reading messages; resolves once stdin is closed and pending requests are answered
+     */
+    start() {
+        this.unsubscribe = this.server.onNotification(message => this.send(message));
+
+        const lines = readline.createInterface({ input: this.input, crlfDelay: Infinity });
+        lines.on('line', line => {
+            if (!line.trim()) {
+                return;
+            }
+
+            // Requests run concurrently; responses are written as soon as each is ready
+            const task = this.handleLine(line).finally(() => this.pending.delete(task));
+            this.pending.add(task);
+        });
+
+        return new Promise(resolve => {
+            lines.on('close', async () => {
+                await Promise.all(this.pending);
+                this.unsubscribe();
+                resolve();
+            });
+        });
+    }
+
+    async handleLine(line) {
+        const context = Object.assign({}, this.context, {
+            sendNotification: message => this.send(message)
+        });
+
+        try {
+            const { body } = await this.server.handleMessage(line, context);
+            if (body !== null) {
+                this.send(body);
+            }
+        } catch (error) {
+            this.logger.error('Failed to handle message:', error);
+        }
+    }
+
+    send(message) {
+        this.output.write(JSON.stringify(message) + '\n');
+    }
+}
+
+module.exports = { StdioTransport };
@@ -0,0 +1,87 @@
+/**
+ * Audit trail of write tool calls
+ * Records which client called which write tool with what arguments, and how it ended,
+ * in any store with the IndexedDBStore interface (IndexedDB in the service worker,
+ * a JSON file in Node.js). Arguments are redacted before they are stored, and only
+ * the newest maxEntries records are kept.
+ */
+
+// Helper modules are require()d in Node.js and already loaded on self in the browser
+const AuditModules = typeof module !== 'undefined' && module.exports
+    ? require('./logger')
+    : self;
+
+class AuditLog {
+    /**
+     * @param {object} store - { get, set, delete, values } key-value store
+     * @param {object} [options] - { maxEntries, logger }
+     */
+    constructor(store, options = {}) {
+        this.store = store;
+        this.maxEntries = options.maxEntries || 1000;
+        this.logger = options.logger || console;
+        this.count = null;
+    }
+
+    /**
+     * Store one record; a failing store is logged, never thrown, so auditing cannot fail a tool call
+     * @param {object} record - { tool, arguments, outcome, error, durationMs, account, client, demo }
+     */
+    async record(record) {
+        const now = new Date();
+        const entry = Object.assign({
+            // Sorts by time, then by the random suffix for records within the same millisecond
+            id: now.toISOString() + '-' + Math.random().toString(36).slice(2, 10),
+            time: now.toISOString()
+        }, AuditModules.Logger.redact(record));
+
+        try {
+            await this.store.set(entry.id, entry);
+            if (this.count === null) {
+                this.count = (await this.store.values()).length;
+            } else {
+                this.count++;
+            }
+            if (this.count > this.maxEntries) {
+                await this.prune();
+            }
+        } catch (error) {
+            this.logger.warn('Audit record for ' + record.tool + ' could not be stored: ' + error.message);
+        }
+        return entry;
+    }
+
+    /**
+     * Newest records first
+     * @param {object} [options] - { tool, limit }
+     */
+    async list({ tool = null, limit = 50 } = {}) {
+        const entries = await this.store.values();
+        return entries
+            .filter(entry => !tool || entry.tool === tool)
+            .sort((a, b) => b.id.localeCompare(a.id))
+            .slice(0, limit);
+    }
+
+    async prune() {
+        const entries = await this.store.values();
+        const expired = entries
+            .sort((a, b) => a.id.localeCompare(b.id))
+            .slice(0, Math.max(0, entries.length - this.maxEntries));
+
+        for (const entry of expired) {
+            await this.store.delete(entry.id);
+        }
+        this.count = entries.length - expired.length;
+    }
+}
+
+// Make the audit log available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.AuditLog = AuditLog;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AuditLog };
+}
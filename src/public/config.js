@@ -0,0 +1,50 @@
+/**
+ * Deployment configuration shared by the dashboard and the service worker
+ * Edit these values when deploying your own copy of the server
+ */
+
+const MCPConfig = {
+    linkedin: {
+        // Client ID of your LinkedIn app (https://www.linkedin.com/developers/apps)
+        clientId: '',
+        // Defaults to the dashboard URL; must be registered as a redirect URL in the app
+        redirectUri: null,
+        scope: 'openid profile email w_member_social',
+        authorizationEndpoint: 'https://www.linkedin.com/oauth/v2/authorization',
+        // LinkedIn does not send CORS headers here; point this at a token proxy if needed
+        tokenEndpoint: 'https://www.linkedin.com/oauth/v2/accessToken',
+        // LinkedIn API base URL; null uses https://api.linkedin.com. Set it to a running
+        // simulator (npm run simulator) to try the dashboard without touching LinkedIn
+        apiBaseUrl: null
+    },
+    server: {
+        // Write tools (create_post, ...) return a preview first and only run when the
+        // call is repeated with its confirmation token; set to false to skip that step
+        confirmWrites: true,
+        // Hide every write tool (read-only mode), or single tools by name, e.g. ['delete_organization_post']
+        readOnly: false,
+        disabledTools: [],
+        // Milliseconds a tool call may run before it is aborted, by tool name, on top of
+        // MCPServer.TOOL_TIMEOUTS, e.g. { create_post: 5 * 60 * 1000 }
+        toolTimeouts: {},
+        // Requests each calling origin may send to /mcp per interval (token bucket)
+        rateLimit: { limit: 120, intervalMs: 60 * 1000 },
+        // Other browser origins allowed to call /mcp (the dashboard's own origin always is),
+        // e.g. ['https://app.example.com']; '*' allows any site
+        allowedOrigins: [],
+        // Lowest level the service worker logs to the console (debug, info, warning, error, ...),
+        // as text or as one JSON object per line; the admin panel can change the level at runtime
+        logLevel: 'info',
+        logFormat: 'text'
+    }
+};
+
+// Make the configuration available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.MCPConfig = MCPConfig;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MCPConfig;
+}
@@ -0,0 +1,427 @@
+/**
+ * Demo backend
+ * Canned LinkedIn data used when no access token is configured.
+ * Implements the same methods as LinkedInClient so MCPServer can swap them freely.
+ */
+
+class DemoBackend {
+    constructor() {
+        this.isDemo = true;
+        // Posts created during this session, newest first; seeded with a member and a company-page post
+        this.posts = [
+            {
+                text: "Excited to try the Model Context Protocol with LinkedIn! #mcp",
+                id: "urn:li:share:demo-member-post-1",
+                status: "PUBLISHED",
+                visibility: "PUBLIC",
+                createdAt: "2025-01-10T17:30:00.000Z",
+                author: DemoBackend.MEMBER_URN,
+                content: null,
+                mentions: []
+            },
+            {
+                text: "We are hiring! Join the Demo Tech Corp engineering team. #hiring",
+                id: "urn:li:share:demo-org-post-1",
+                status: "PUBLISHED",
+                visibility: "PUBLIC",
+                createdAt: "2025-01-15T09:00:00.000Z",
+                author: "urn:li:organization:demo123",
+                content: null,
+                mentions: []
+            }
+        ];
+        // Comments and reactions by post URN
+        this.comments = new Map();
+        this.reactions = new Map();
+    }
+
+    async getProfile() {
+        return {
+            id: "demo-user-id",
+            firstName: { localized: { en_US: "Demo" } },
+            lastName: { localized: { en_US: "User" } },
+            headline: { localized: { en_US: "Professional using MCP Server" } },
+            industry: { localized: { en_US: "Technology" } },
+            location: { localized: { en_US: "San Francisco, CA" } },
+            profilePicture: null,
+            publicProfileUrl: "https://linkedin.com/in/demo-user"
+        };
+    }
+
+    async createPost({ text, visibility = "PUBLIC", author, media, article, poll, mentions }) {
+        const post = {
+            text: text,
+            id: 'urn:li:share:demo-post-' + Date.now(),
+            status: "PUBLISHED",
+            visibility: visibility,
+            createdAt: new Date().toISOString(),
+            author: author || DemoBackend.MEMBER_URN,
+            content: this.describeContent({ media, article, poll }),
+            mentions: mentions || []
+        };
+
+        this.posts.unshift(post);
+        return post;
+    }
+
+    /**
+     * Mirror the Posts API content shape without uploading anything
+     */
+    describeContent({ media, article, poll }) {
+        if (media && media.length > 0) {
+            const assets = media.map((item, index) => ({
+                id: 'urn:li:' + item.kind + ':demo-' + item.kind + '-' + (index + 1),
+                mimeType: item.mimeType,
+                title: item.title,
+                altText: item.altText
+            }));
+            return assets.length === 1 ? { media: assets[0] } : { multiImage: { images: assets } };
+        }
+        if (article) {
+            return {
+                article: {
+                    source: article.url,
+                    title: article.title,
+                    description: article.description,
+                    thumbnail: article.thumbnail
+                }
+            };
+        }
+        if (poll) {
+            return {
+                poll: {
+                    question: poll.question,
+                    options: poll.options.map(option => ({ text: option })),
+                    settings: { duration: poll.duration || "THREE_DAYS" }
+                }
+            };
+        }
+        return null;
+    }
+
+    async getMemberUrn() {
+        return DemoBackend.MEMBER_URN;
+    }
+
+    async getRecentPosts(count = 10, start = 0) {
+        const posts = this.posts.filter(post => post.author === DemoBackend.MEMBER_URN);
+        return {
+            elements: posts.slice(start, start + count),
+            paging: {
+                start: start,
+                count: count,
+                total: posts.length
+            }
+        };
+    }
+
+    async getPost(postUrn) {
+        return this.posts.find(post => post.id === postUrn) || null;
+    }
+
+    async getComments(postUrn, count = 10, start = 0) {
+        const comments = this.comments.get(postUrn) || [];
+        return {
+            elements: comments.slice(start, start + count),
+            paging: {
+                start: start,
+                count: count,
+                total: comments.length
+            }
+        };
+    }
+
+    async addComment(postUrn, { text, actor }) {
+        const comments = this.comments.get(postUrn) || [];
+        const comment = {
+            id: 'urn:li:comment:(' + postUrn + ',demo-comment-' + (comments.length + 1) + ')',
+            object: postUrn,
+            actor: actor || DemoBackend.MEMBER_URN,
+            text: text,
+            createdAt: new Date().toISOString()
+        };
+
+        comments.push(comment);
+        this.comments.set(postUrn, comments);
+        return comment;
+    }
+
+    async addReaction(postUrn, reactionType, actor) {
+        const reaction = {
+            root: postUrn,
+            actor: actor || DemoBackend.MEMBER_URN,
+            reactionType: reactionType
+        };
+
+        const reactions = (this.reactions.get(postUrn) || []).filter(existing => existing.actor !== reaction.actor);
+        reactions.push(reaction);
+        this.reactions.set(postUrn, reactions);
+        return reaction;
+    }
+
+    async removeReaction(postUrn, actor) {
+        actor = actor || DemoBackend.MEMBER_URN;
+        this.reactions.set(postUrn, (this.reactions.get(postUrn) || []).filter(reaction => reaction.actor !== actor));
+        return {
+            root: postUrn,
+            actor: actor
+        };
+    }
+
+    /**
+     * Made-up but stable numbers derived from the post URN, plus this session's comments and reactions
+     */
+    async getPostAnalytics(postUrn, author) {
+        const seed = Array.from(postUrn).reduce((sum, char) => sum + char.charCodeAt(0), 0);
+        const impressions = 500 + seed % 1500;
+        const reactions = 10 + seed % 40 + (this.reactions.get(postUrn) || []).length;
+        const comments = 2 + seed % 8 + (this.comments.get(postUrn) || []).length;
+        const shares = seed % 5;
+        const isOrganization = Boolean(author && author.startsWith("urn:li:organization:"));
+        const clicks = isOrganization ? 20 + seed % 60 : null;
+
+        return {
+            impressions: impressions,
+            uniqueImpressions: Math.round(impressions * 0.7),
+            clicks: clicks,
+            reactions: reactions,
+            comments: comments,
+            shares: shares,
+            engagement: isOrganization ? Number(((clicks + reactions + comments + shares) / impressions).toFixed(4)) : null
+        };
+    }
+
+    async getOrganizationFollowerStatistics(organizationUrn, range) {
+        return {
+            series: this.buildSeries(range, index => ({
+                organicFollowerGain: 3 + index * 7 % 11,
+                paidFollowerGain: index % 3
+            })),
+            demographics: this.buildDemographics(weight => ({
+                organic: 40 * weight,
+                paid: 2 * weight
+            }))
+        };
+    }
+
+    async getOrganizationPageStatistics(organizationUrn, range) {
+        return {
+            series: this.buildSeries(range, index => ({
+                pageViews: 60 + index * 13 % 40,
+                uniquePageViews: 35 + index * 11 % 25,
+                desktopPageViews: 40 + index * 13 % 30,
+                mobilePageViews: 20 + index * 7 % 10
+            })),
+            demographics: this.buildDemographics(weight => ({
+                pageViews: 90 * weight,
+                uniquePageViews: 55 * weight,
+                desktopPageViews: 60 * weight,
+                mobilePageViews: 30 * weight
+            }))
+        };
+    }
+
+    async getOrganizationShareStatistics(organizationUrn, range) {
+        const statistics = index => ({
+            impressions: 400 + index * 37 % 300,
+            uniqueImpressions: 280 + index * 29 % 200,
+            clicks: 12 + index * 5 % 20,
+            reactions: 15 + index * 3 % 25,
+            comments: 2 + index % 6,
+            shares: index % 4,
+            engagement: 0.07
+        });
+
+        return {
+            series: this.buildSeries(range, statistics),
+            totals: {
+                impressions: 48210,
+                uniqueImpressions: 31377,
+                clicks: 1864,
+                reactions: 2290,
+                comments: 311,
+                shares: 174,
+                engagement: 0.0957
+            }
+        };
+    }
+
+    /**
+     * One entry per DAY or MONTH between range.start and range.end (epoch milliseconds)
+     */
+    buildSeries({ start, end, granularity }, values) {
+        const series = [];
+        let bucketStart = new Date(start);
+
+        for (let index = 0; bucketStart.getTime() < end; index++) {
+            const bucketEnd = new Date(bucketStart);
+            if (granularity === "MONTH") {
+                bucketEnd.setUTCMonth(bucketEnd.getUTCMonth() + 1);
+            } else {
+                bucketEnd.setUTCDate(bucketEnd.getUTCDate() + 1);
+            }
+
+            series.push(Object.assign({
+                start: bucketStart.toISOString(),
+                end: new Date(Math.min(bucketEnd.getTime(), end)).toISOString()
+            }, values(index)));
+            bucketStart = bucketEnd;
+        }
+
+        return series;
+    }
+
+    /**
+     * Breakdowns keyed by LinkedIn standardized URNs, as the real API returns them
+     */
+    buildDemographics(counts) {
+        const breakdown = (urns, weights) => urns.map((urn, index) => Object.assign({ urn: urn }, counts(weights[index])));
+
+        return {
+            seniority: breakdown(["urn:li:seniority:3", "urn:li:seniority:4", "urn:li:seniority:5", "urn:li:seniority:6"], [5, 8, 4, 2]),
+            industry: breakdown(["urn:li:industry:4", "urn:li:industry:96", "urn:li:industry:6"], [9, 6, 3]),
+            geo: breakdown(["urn:li:geo:103644278", "urn:li:geo:101165590", "urn:li:geo:101282230"], [12, 3, 2]),
+            function: breakdown(["urn:li:function:8", "urn:li:function:13", "urn:li:function:15"], [10, 4, 3])
+        };
+    }
+
+    async getOrganizationPosts(organizationUrn, count = 10, start = 0) {
+        const posts = this.posts.filter(post => post.author === organizationUrn);
+        return {
+            elements: posts.slice(start, start + count),
+            paging: {
+                start: start,
+                count: count,
+                total: posts.length
+            }
+        };
+    }
+
+    async updatePost(postUrn, { text, mentions }) {
+        const post = await this.getPost(postUrn);
+        post.text = text;
+        post.mentions = mentions || [];
+        post.updatedAt = new Date().toISOString();
+        return post;
+    }
+
+    async deletePost(postUrn) {
+        this.posts = this.posts.filter(post => post.id !== postUrn);
+    }
+
+    async getOrganization(id) {
+        // A Map, so ids like "constructor" do not find Object.prototype members
+        const organizations = new Map([
+            ["demo123", {
+                id: "demo123",
+                localizedName: "Demo Tech Corp",
+                vanityName: "demo-tech-corp",
+                localizedDescription: "A sample technology company used for demo data.",
+                localizedWebsite: "https://example.com/demo-tech-corp",
+                industry: "Technology"
+            }],
+            ["demo456", {
+                id: "demo456",
+                localizedName: "Sample Innovations Inc",
+                vanityName: "sample-innovations",
+                localizedDescription: "A sample innovation consultancy used for demo data.",
+                localizedWebsite: "https://example.com/sample-innovations",
+                industry: "Consulting"
+            }]
+        ]);
+
+        return organizations.get(id) || null;
+    }
+
+    /**
+     * Simulate a search with a fixed set of results per query, so paging and filters
+     * behave like the real API
+     */
+    async searchOrganizations(query, count = 10, start = 0, filters = {}) {
+        const sizes = [
+            ["SIZE_2_TO_10", 2, 10],
+            ["SIZE_11_TO_50", 11, 50],
+            ["SIZE_51_TO_200", 51, 200],
+            ["SIZE_201_TO_500", 201, 500],
+            ["SIZE_501_TO_1000", 501, 1000],
+            ["SIZE_1001_TO_5000", 1001, 5000],
+            ["SIZE_5001_TO_10000", 5001, 10000]
+        ];
+        const mockResults = [];
+        for (let i = 1; i <= DemoBackend.SEARCH_RESULT_COUNT; i++) {
+            const size = sizes[i % sizes.length];
+            mockResults.push({
+                id: 'org-' + query.toLowerCase().replace(/\s+/g, '-') + '-' + i,
+                localizedName: query + ' Organization ' + i,
+                industry: ["Technology", "Finance", "Healthcare", "Education", "Manufacturing"][i % 5],
+                staffCountRange: size[0],
+                employeeCountRange: {
+                    start: size[1],
+                    end: size[2]
+                },
+                location: ["San Francisco, CA", "New York, NY", "Seattle, WA", "Austin, TX", "Boston, MA", "London, UK"][i % 6]
+            });
+        }
+
+        const matches = mockResults.filter(organization =>
+            (!filters.industry || organization.industry.toLowerCase().indexOf(filters.industry.toLowerCase()) !== -1) &&
+            (!filters.location || organization.location.toLowerCase().indexOf(filters.location.toLowerCase()) !== -1) &&
+            (!filters.companySize || organization.staffCountRange === filters.companySize)
+        );
+
+        return {
+            elements: matches.slice(start, start + count),
+            paging: {
+                total: matches.length,
+                count: count,
+                start: start
+            }
+        };
+    }
+
+    async getOrganizationAcls(role = null, count = 100, start = 0) {
+        const mockOrganizations = [
+            {
+                organization: "urn:li:organization:demo123",
+                role: "ADMINISTRATOR",
+                state: "APPROVED",
+                organizationName: "Demo Tech Corp"
+            },
+            {
+                organization: "urn:li:organization:demo456",
+                role: "MEMBER",
+                state: "APPROVED",
+                organizationName: "Sample Innovations Inc"
+            }
+        ];
+
+        const matches = role
+            ? mockOrganizations.filter(org => org.role === role)
+            : mockOrganizations;
+
+        return {
+            elements: matches.slice(start, start + count),
+            paging: {
+                total: matches.length,
+                count: count,
+                start: start
+            }
+        };
+    }
+}
+
+// The demo member, author of the demo posts (LinkedInSimulator's default seed uses the same one)
+DemoBackend.MEMBER_URN = "urn:li:person:demo-user-id";
+
+// Size of the simulated result set for any search query
+DemoBackend.SEARCH_RESULT_COUNT = 37;
+
+// Make DemoBackend available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.DemoBackend = DemoBackend;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DemoBackend };
+}
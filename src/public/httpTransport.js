@@ -0,0 +1,611 @@
+/**
+ * Streamable HTTP transport for MCP
+ * Serves the /mcp endpoint from Fetch API Request/Response objects, so the same
+ * code runs in the service worker and behind a Node.js HTTP server:
+ *   POST   - JSON-RPC messages; answered as JSON or as an SSE stream (Accept: text/event-stream)
+ *   GET    - SSE stream for server-initiated notifications
+ *   DELETE - end the session
+ * Each session (Mcp-Session-Id) gets its own MCPServer instance.
+ * Browser origins must be on an allowlist (which also defeats DNS rebinding), and
+ * API keys can be required. LinkedIn tokens sent as bearer tokens are passed through to
+ * LinkedIn, which MCP's authorization spec does not allow (see README), so
+ * /.well-known/oauth-protected-resource only names an authorization server when one is configured.
+ */
+
+// Helper modules are require()d in Node.js and already loaded on self in the browser
+const TransportModules = typeof module !== 'undefined' && module.exports
+    ? { ...require('./jsonRpc'), ...require('./rateLimiter') }
+    : self;
+
+class StreamableHTTPTransport {
+    /**
+     * @param {object} options
+     * @param {function} options.createServer - () => MCPServer for a new session
+     * @param {function} [options.getContext] - async (request, auth) => per-request context passed to the server;
+     *                                          auth.linkedinToken is the bearer token unless it was an API key;
+     *                                          when it throws, the request is rejected with 401
+     * @param {string[]} [options.protocolVersions] - accepted MCP-Protocol-Version header values
+     * @param {number} [options.sessionTtlMs] - idle time after which a session is discarded
+     * @param {number} [options.maxSessions] - sessions kept at once; a new one closes the least recently used
+     * @param {RateLimiter} [options.rateLimiter] - requests allowed per client; excess requests get HTTP 429
+     * @param {function} [options.getClientId] - (request, info) => key the rate limit applies to
+     * @param {string[]} [options.allowedOrigins] - browser origins that may call the endpoint ('*' for any);
+     *                                              requests without an Origin header are not affected
+     * @param {string[]} [options.apiKeys] - when set, every request needs one (X-API-Key or Authorization: Bearer)
+     * @param {boolean} [options.requireToken] - reject requests without a LinkedIn bearer token
+     * @param {string[]} [options.authorizationServers] - issuers listed in the protected resource metadata; only
+     *                                                   name one that issues tokens for this endpoint (LinkedIn does not)
+     * @param {string[]} [options.scopes] - LinkedIn scopes listed in the protected resource metadata
+     * @param {object} [options.logger] - a Logger, or anything with console's methods
+     */
+    constructor(options) {
+        this.createServer = options.createServer;
+        this.getContext = options.getContext || ((request, auth) => ({ token: auth.linkedinToken }));
+        this.protocolVersions = options.protocolVersions || null;
+        this.sessionTtlMs = options.sessionTtlMs || 30 * 60 * 1000;
+        this.maxSessions = options.maxSessions || StreamableHTTPTransport.MAX_SESSIONS;
+        this.keepAliveMs = options.keepAliveMs || 25 * 1000;
+        this.rateLimiter = options.rateLimiter || null;
+        this.getClientId = options.getClientId || StreamableHTTPTransport.getClientId;
+        this.allowedOrigins = options.allowedOrigins || [];
+        this.apiKeys = options.apiKeys || [];
+        this.requireToken = Boolean(options.requireToken);
+        this.authorizationServers = options.authorizationServers || [];
+        this.scopes = options.scopes || null;
+        this.resourcePath = options.resourcePath || '/mcp';
+        this.logger = options.logger || console;
+        this.sessions = new Map();
+        this.encoder = new TextEncoder();
+    }
+
+    /**
+     * Handle one HTTP request to the MCP endpoint
+     * @param {object} [info] - what the host knows beyond the Request, e.g. { clientAddress }
+     */
+    async handleRequest(request, info = {}) {
+        this.expireSessions();
+
+        // A page on another site (or one reached through DNS rebinding) always sends its Origin
+        const origin = request.headers.get('Origin');
+        if (origin && !this.isAllowedOrigin(origin)) {
+            return this.withCORS(this.createErrorResponse(403, 'Forbidden: origin ' + origin + ' is not allowed'), null);
+        }
+
+        return this.withCORS(await this.route(request, info), origin);
+    }
+
+    async route(request, info) {
+        if (this.rateLimiter && request.method !== 'OPTIONS') {
+            const outcome = this.rateLimiter.take(this.getClientId(request, info));
+            if (!outcome.allowed) {
+                return this.createRateLimitResponse(outcome);
+            }
+        }
+
+        let auth = null;
+        if (request.method !== 'OPTIONS') {
+            auth = this.authenticate(request);
+            if (auth.response) {
+                return auth.response;
+            }
+        }
+
+        try {
+            switch (request.method) {
+                case 'OPTIONS':
+                    return new Response(null, {
+                        status: 200,
+                        headers: this.getCORSHeaders()
+                    });
+                case 'POST':
+                    return await this.handlePost(request, auth, info);
+                case 'GET':
+                    return await this.handleGet(request, auth);
+                case 'DELETE':
+                    return await this.handleDelete(request, auth);
+                default:
+                    return this.createErrorResponse(405, 'Method not allowed: ' + request.method, {
+                        'Allow': 'POST, GET, DELETE, OPTIONS'
+                    });
+            }
+        } catch (error) {
+            this.logger.error('MCP request error: ' + error.message, error);
+            return this.createJSONResponse({
+                jsonrpc: "2.0",
+                error: {
+                    code: TransportModules.JSON_RPC_ERRORS.INTERNAL_ERROR,
+                    message: 'Internal error: ' + error.message,
+                    data: {
+                        timestamp: new Date().toISOString()
+                    }
+                },
+                id: null
+            }, 500);
+        }
+    }
+
+    async handlePost(request, auth, info = {}) {
+        const accept = request.headers.get('Accept') || '';
+        if (accept && !/application\/json|text\/event-stream|\*\/\*/.test(accept)) {
+            return this.createErrorResponse(406, 'Not Acceptable: accept application/json or text/event-stream');
+        }
+
+        const payload = await request.text();
+        let parsed;
+        try {
+            parsed = JSON.parse(payload);
+        } catch (error) {
+            return this.createJSONResponse(TransportModules.createErrorResponse(
+                null, TransportModules.JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error: ' + error.message
+            ), 400);
+        }
+
+        const messages = Array.isArray(parsed) ? parsed : [parsed];
+        const isObject = message => message !== null && typeof message === 'object';
+
+        // e.g. the stored LinkedIn token expired and could not be refreshed
+        let requestContext;
+        try {
+            requestContext = await this.getContext(request, auth);
+        } catch (error) {
+            return this.createUnauthorizedResponse(request, 'Unauthorized: ' + error.message, 'invalid_token');
+        }
+
+        // initialize starts a new session; everything else must name an existing one
+        let session;
+        if (messages.some(message => isObject(message) && message.method === 'initialize')) {
+            session = this.createSession(await StreamableHTTPTransport.digestCredentials(auth));
+        } else {
+            const lookup = await this.findSession(request, auth);
+            if (lookup.response) {
+                return lookup.response;
+            }
+            session = lookup.session;
+        }
+
+        // request.signal aborts when the client goes away, which cancels its tool calls
+        const context = Object.assign(
+            { sessionId: session.id, clientAddress: info.clientAddress || null, signal: request.signal },
+            requestContext
+        );
+        const hasRequests = messages.some(message => isObject(message) && 'id' in message && 'method' in message);
+
+        if (hasRequests && accept.includes('text/event-stream')) {
+            return this.createEventStreamResponse(session, parsed, context);
+        }
+
+        const { status, body } = await session.server.handleMessage(parsed, context);
+        this.discardIfUninitialized(session);
+
+        if (body === null) {
+            return new Response(null, {
+                status: status,
+                headers: this.getSessionHeaders(session)
+            });
+        }
+
+        return this.createJSONResponse(body, status, this.getSessionHeaders(session));
+    }
+
+    /**
+     * Answer a POST as an SSE stream: request-scoped notifications first, then the response
+     */
+    createEventStreamResponse(session, parsed, context) {
+        let controller;
+        const closed = new AbortController();
+        const body = new ReadableStream({
+            start: streamController => {
+                controller = streamController;
+            },
+            // Nobody reads the responses once the client closed the stream
+            cancel: () => closed.abort()
+        });
+
+        context.signal = context.signal ? AbortSignal.any([context.signal, closed.signal]) : closed.signal;
+        context.sendNotification = message => this.enqueue(controller, this.encodeEvent(message));
+
+        session.server.handleMessage(parsed, context)
+            .then(({ body: response }) => {
+                if (response !== null) {
+                    this.enqueue(controller, this.encodeEvent(response));
+                }
+            })
+            .catch(error => {
+                this.enqueue(controller, this.encodeEvent(TransportModules.createErrorResponse(
+                    null, TransportModules.JSON_RPC_ERRORS.INTERNAL_ERROR, 'Internal error: ' + error.message
+                )));
+            })
+            .finally(() => {
+                this.discardIfUninitialized(session);
+                this.closeStream(controller);
+            });
+
+        return new Response(body, {
+            status: 200,
+            headers: Object.assign({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache'
+            }, this.getSessionHeaders(session))
+        });
+    }
+
+    /**
+     * Open the long-lived SSE stream that carries server-initiated notifications
+     */
+    async handleGet(request, auth) {
+        if (!(request.headers.get('Accept') || '').includes('text/event-stream')) {
+            return this.createErrorResponse(405, 'GET requires Accept: text/event-stream', {
+                'Allow': 'POST, GET, DELETE, OPTIONS'
+            });
+        }
+
+        const lookup = await this.findSession(request, auth);
+        if (lookup.response) {
+            return lookup.response;
+        }
+        const session = lookup.session;
+
+        // Each message goes to a single stream, so a new GET replaces the previous one
+        this.closeEventStream(session);
+
+        const body = new ReadableStream({
+            start: controller => {
+                session.eventStream = controller;
+                session.keepAlive = setInterval(() => {
+                    session.lastActivity = Date.now();
+                    this.enqueue(controller, this.encoder.encode(': keep-alive\n\n'));
+                }, this.keepAliveMs);
+            },
+            cancel: () => {
+                clearInterval(session.keepAlive);
+                session.eventStream = null;
+            }
+        });
+
+        return new Response(body, {
+            status: 200,
+            headers: Object.assign({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache'
+            }, this.getSessionHeaders(session))
+        });
+    }
+
+    async handleDelete(request, auth) {
+        const lookup = await this.findSession(request, auth);
+        if (lookup.response) {
+            return lookup.response;
+        }
+
+        this.closeSession(lookup.session);
+        return new Response(null, {
+            status: 204,
+            headers: this.getCORSHeaders()
+        });
+    }
+
+    /**
+     * @param {string} credentials - digestCredentials() of the initialize request
+     */
+    createSession(credentials) {
+        if (this.sessions.size >= this.maxSessions) {
+            this.evictLeastRecentSession();
+        }
+
+        const server = this.createServer();
+        const session = {
+            id: crypto.randomUUID(),
+            server: server,
+            credentials: credentials,
+            eventStream: null,
+            keepAlive: null,
+            nextEventId: 1,
+            lastActivity: Date.now()
+        };
+
+        // Without a GET stream there is nowhere to send the message; the server is told so
+        session.unsubscribe = server.onNotification(message => {
+            if (!session.eventStream) {
+                return false;
+            }
+            this.enqueue(session.eventStream, this.encodeEvent(message, session));
+        });
+
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    /**
+     * Resolve the session named by the Mcp-Session-Id header. A session only answers requests
+     * with the API key and LinkedIn token it was initialized with; to anyone else it does not exist.
+     * @returns {Promise<{session: object}|{response: Response}>} the session, or the error response to send
+     */
+    async findSession(request, auth) {
+        const sessionId = request.headers.get('Mcp-Session-Id');
+        if (!sessionId) {
+            return { response: this.createErrorResponse(400, 'Bad Request: Mcp-Session-Id header is required') };
+        }
+
+        const session = this.sessions.get(sessionId);
+        const credentials = await StreamableHTTPTransport.digestCredentials(auth);
+        if (!session || !StreamableHTTPTransport.safeEqual(session.credentials, credentials)) {
+            return { response: this.createErrorResponse(404, 'Session not found: ' + sessionId) };
+        }
+
+        const protocolVersion = request.headers.get('MCP-Protocol-Version');
+        if (protocolVersion && this.protocolVersions && !this.protocolVersions.includes(protocolVersion)) {
+            return { response: this.createErrorResponse(400, 'Unsupported MCP-Protocol-Version: ' + protocolVersion) };
+        }
+
+        session.lastActivity = Date.now();
+        return { session: session };
+    }
+
+    /**
+     * Drop a session whose initialize request failed, so it cannot be used
+     */
+    discardIfUninitialized(session) {
+        if (!session.server.protocolVersion) {
+            this.closeSession(session);
+        }
+    }
+
+    closeSession(session) {
+        this.closeEventStream(session);
+        session.unsubscribe();
+        this.sessions.delete(session.id);
+    }
+
+    closeEventStream(session) {
+        clearInterval(session.keepAlive);
+        if (session.eventStream) {
+            this.closeStream(session.eventStream);
+            session.eventStream = null;
+        }
+    }
+
+    /**
+     * Write to an SSE stream, ignoring streams the client has already closed
+     */
+    enqueue(controller, chunk) {
+        try {
+            controller.enqueue(chunk);
+        } catch (error) {
+            // Stream closed by the client
+        }
+    }
+
+    closeStream(controller) {
+        try {
+            controller.close();
+        } catch (error) {
+            // Stream closed by the client
+        }
+    }
+
+    expireSessions() {
+        const cutoff = Date.now() - this.sessionTtlMs;
+        this.sessions.forEach(session => {
+            if (session.lastActivity < cutoff) {
+                this.closeSession(session);
+            }
+        });
+    }
+
+    /**
+     * Make room for a new session; the client of the evicted one gets 404 and initializes again
+     */
+    evictLeastRecentSession() {
+        let oldest = null;
+        this.sessions.forEach(session => {
+            if (!oldest || session.lastActivity < oldest.lastActivity) {
+                oldest = session;
+            }
+        });
+        this.logger.warn('Session limit of ' + this.maxSessions + ' reached; closing session ' + oldest.id);
+        this.closeSession(oldest);
+    }
+
+    /**
+     * Frame a JSON-RPC message as an SSE "message" event
+     */
+    encodeEvent(message, session) {
+        const id = session ? 'id: ' + (session.nextEventId++) + '\n' : '';
+        return this.encoder.encode(id + 'event: message\ndata: ' + JSON.stringify(message) + '\n\n');
+    }
+
+    getSessionHeaders(session) {
+        if (!this.sessions.has(session.id)) {
+            return this.getCORSHeaders();
+        }
+        return Object.assign({ 'Mcp-Session-Id': session.id }, this.getCORSHeaders());
+    }
+
+    createJSONResponse(data, status = 200, headers = this.getCORSHeaders()) {
+        return new Response(JSON.stringify(data), {
+            status: status,
+            headers: Object.assign({ 'Content-Type': 'application/json' }, headers)
+        });
+    }
+
+    /**
+     * Transport-level failure as a JSON-RPC error body with an id of null
+     */
+    createErrorResponse(status, message, headers = {}) {
+        return this.createJSONResponse(
+            TransportModules.createErrorResponse(null, TransportModules.JSON_RPC_ERRORS.INVALID_REQUEST, message),
+            status,
+            Object.assign({}, this.getCORSHeaders(), headers)
+        );
+    }
+
+    /**
+     * Check the API key (when keys are configured) and pick out the LinkedIn token
+     * @returns {{apiKey: string|null, linkedinToken: string|null}|{response: Response}} the
+     *          credentials, or the 401 response to send
+     */
+    authenticate(request) {
+        const bearer = StreamableHTTPTransport.getBearerToken(request);
+        const bearerIsKey = bearer !== null && this.isApiKey(bearer);
+        const apiKey = request.headers.get('X-API-Key') || (bearerIsKey ? bearer : null);
+        const linkedinToken = bearerIsKey ? null : bearer;
+
+        if (this.apiKeys.length > 0 && (!apiKey || !this.isApiKey(apiKey))) {
+            return {
+                response: this.createUnauthorizedResponse(
+                    request,
+                    apiKey ? 'Unauthorized: invalid API key' : 'Unauthorized: send an API key in X-API-Key or Authorization: Bearer',
+                    apiKey ? 'invalid_token' : null
+                )
+            };
+        }
+
+        if (this.requireToken && !linkedinToken) {
+            return {
+                response: this.createUnauthorizedResponse(
+                    request,
+                    'Unauthorized: send a LinkedIn access token in Authorization: Bearer',
+                    null
+                )
+            };
+        }
+
+        return { apiKey: apiKey, linkedinToken: linkedinToken };
+    }
+
+    isApiKey(value) {
+        return this.apiKeys.some(key => StreamableHTTPTransport.safeEqual(key, value));
+    }
+
+    isAllowedOrigin(origin) {
+        return this.allowedOrigins.includes('*') || this.allowedOrigins.includes(origin);
+    }
+
+    /**
+     * OAuth 2.0 Protected Resource Metadata (RFC 9728) for the MCP endpoint
+     */
+    handleResourceMetadata(request) {
+        const metadata = {
+            resource: new URL(request.url).origin + this.resourcePath,
+            bearer_methods_supported: ['header'],
+            resource_name: 'LinkedIn MCP Server'
+        };
+        if (this.authorizationServers.length > 0) {
+            metadata.authorization_servers = this.authorizationServers;
+        }
+        if (this.scopes) {
+            metadata.scopes_supported = this.scopes;
+        }
+
+        return this.createJSONResponse(metadata, 200, {
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'max-age=3600'
+        });
+    }
+
+    /**
+     * HTTP 401 whose WWW-Authenticate challenge points at the protected resource metadata
+     */
+    createUnauthorizedResponse(request, message, error) {
+        const metadataUrl = new URL(request.url).origin + '/.well-known/oauth-protected-resource';
+        const challenge = 'Bearer realm="linkedin-mcp", resource_metadata="' + metadataUrl + '"' +
+            (error ? ', error="' + error + '"' : '');
+
+        return this.createErrorResponse(401, message, { 'WWW-Authenticate': challenge });
+    }
+
+    /**
+     * Add the CORS headers that depend on the request's origin
+     */
+    withCORS(response, origin) {
+        if (origin && this.isAllowedOrigin(origin)) {
+            response.headers.set('Access-Control-Allow-Origin', this.allowedOrigins.includes('*') ? '*' : origin);
+        }
+        response.headers.append('Vary', 'Origin');
+        return response;
+    }
+
+    /**
+     * HTTP 429 with Retry-After and a JSON-RPC error carrying the same hint
+     */
+    createRateLimitResponse(outcome) {
+        const retryAfter = TransportModules.RateLimiter.toSeconds(outcome.retryAfterMs);
+        return this.createJSONResponse(
+            TransportModules.createErrorResponse(
+                null,
+                TransportModules.JSON_RPC_ERRORS.RATE_LIMITED,
+                'Too many requests: retry in ' + retryAfter + ' seconds',
+                {
+                    scope: 'client',
+                    limit: this.rateLimiter.limit,
+                    intervalMs: this.rateLimiter.intervalMs,
+                    retryAfter: retryAfter
+                }
+            ),
+            429,
+            Object.assign({ 'Retry-After': String(retryAfter) }, this.getCORSHeaders())
+        );
+    }
+
+    getCORSHeaders() {
+        return {
+            'Access-Control-Allow-Methods': 'POST, GET, DELETE, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, Accept, Mcp-Session-Id, MCP-Protocol-Version, Last-Event-ID',
+            'Access-Control-Expose-Headers': 'Mcp-Session-Id, Retry-After, WWW-Authenticate',
+            'Access-Control-Max-Age': '86400'
+        };
+    }
+
+    /**
+     * Default rate limit key: the remote address when the host provides one (Node.js),
+     * otherwise the calling page's origin (service worker)
+     */
+    static getClientId(request, info = {}) {
+        return info.clientAddress || request.headers.get('Origin') || 'local';
+    }
+
+    /**
+     * Compare secrets in time that does not depend on where they differ
+     */
+    static safeEqual(a, b) {
+        let difference = a.length ^ b.length;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a.charCodeAt(i) ^ b.charCodeAt(i % Math.max(b.length, 1));
+        }
+        return difference === 0;
+    }
+
+    /**
+     * SHA-256 digest (hex) of a request's API key and LinkedIn token, so sessions can be tied
+     * to their credentials without keeping them
+     */
+    static async digestCredentials(auth) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(
+            JSON.stringify([auth.apiKey, auth.linkedinToken])
+        ));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Extract the token from an "Authorization: Bearer <token>" header
+     */
+    static getBearerToken(request) {
+        const match = /^Bearer\s+(.+)$/i.exec(request.headers.get('Authorization') || '');
+        return match ? match[1].trim() : null;
+    }
+}
+
+// Sessions kept at once, so initialize requests cannot grow memory without bound
+StreamableHTTPTransport.MAX_SESSIONS = 1000;
+
+// Make the transport available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.StreamableHTTPTransport = StreamableHTTPTransport;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StreamableHTTPTransport };
+}
@@ -0,0 +1,188 @@
+/**
+ * JSON-RPC 2.0 dispatcher
+ * Parses and validates request envelopes, handles batches and notifications,
+ * and maps the outcome to an HTTP status. Shared by the service worker and Node.js.
+ */
+
+const JSON_RPC_ERRORS = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    // Implementation-defined server error: too many requests, data carries retryAfter (seconds)
+    RATE_LIMITED: -32000
+};
+
+/**
+ * Error thrown by method handlers to produce a specific JSON-RPC error response
+ */
+class JsonRpcError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'JsonRpcError';
+        this.code = code;
+        this.data = data;
+    }
+
+    toResponse(id) {
+        return createErrorResponse(id, this.code, this.message, this.data);
+    }
+}
+
+function createErrorResponse(id, code, message, data) {
+    const error = {
+        code: code,
+        message: message
+    };
+    if (data !== undefined) {
+        error.data = data;
+    }
+
+    return {
+        jsonrpc: "2.0",
+        error: error,
+        id: id
+    };
+}
+
+function isValidId(id) {
+    return id === null || typeof id === 'string' || typeof id === 'number';
+}
+
+/**
+ * Check a message against the JSON-RPC 2.0 request envelope
+ * @returns {string|null} what is wrong with the message, or null when it is valid
+ */
+function validateEnvelope(message) {
+    if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+        return 'expected a request object';
+    }
+    if (message.jsonrpc !== '2.0') {
+        return 'jsonrpc must be exactly "2.0"';
+    }
+    if (typeof message.method !== 'string') {
+        return 'method must be a string';
+    }
+    if ('id' in message && !isValidId(message.id)) {
+        return 'id must be a string, number or null';
+    }
+    if ('params' in message && (message.params === null || typeof message.params !== 'object')) {
+        return 'params must be an object or array';
+    }
+    return null;
+}
+
+/**
+ * A response from the other side to a request this side sent
+ */
+function isResponse(message) {
+    return message !== null && typeof message === 'object' && !Array.isArray(message) &&
+        message.jsonrpc === '2.0' && !('method' in message) && isValidId(message.id) &&
+        ('result' in message || 'error' in message);
+}
+
+/**
+ * Validate and dispatch a single message.
+ * Resolves with the response object, or null for notifications and responses.
+ */
+async function dispatchMessage(message, handler, onResponse, logger = console) {
+    if (onResponse && isResponse(message)) {
+        onResponse(message);
+        return null;
+    }
+
+    const problem = validateEnvelope(message);
+    if (problem) {
+        const id = message && typeof message === 'object' && isValidId(message.id) ? message.id : null;
+        return createErrorResponse(id, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request: ' + problem);
+    }
+
+    const isNotification = !('id' in message);
+
+    try {
+        const response = await handler(message);
+        return isNotification ? null : response;
+    } catch (error) {
+        if (isNotification) {
+            logger.error('Notification ' + message.method + ' failed: ' + error.message, error);
+            return null;
+        }
+        if (error instanceof JsonRpcError) {
+            return error.toResponse(message.id);
+        }
+        return createErrorResponse(message.id, JSON_RPC_ERRORS.INTERNAL_ERROR, 'Internal error: ' + error.message);
+    }
+}
+
+/**
+ * Dispatch a raw (string) or parsed JSON-RPC payload, single or batch
+ * @param {string|object|Array} payload - request body
+ * @param {function} handler - async (message) => response object
+ * @param {function} [onResponse] - (message) => void for responses to requests this side sent;
+ *                                  without it they are invalid requests
+ * @param {object} [logger] - a Logger, or anything with console's methods, for failed notifications
+ * @returns {Promise<{status: number, body: object|Array|null}>} body is null when nothing must be sent back
+ */
+async function dispatchJsonRpc(payload, handler, onResponse, logger = console) {
+    let parsed = payload;
+
+    if (typeof payload === 'string') {
+        try {
+            parsed = JSON.parse(payload);
+        } catch (error) {
+            return {
+                status: 400,
+                body: createErrorResponse(null, JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error: ' + error.message)
+            };
+        }
+    }
+
+    if (Array.isArray(parsed)) {
+        if (parsed.length === 0) {
+            return {
+                status: 400,
+                body: createErrorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid Request: empty batch')
+            };
+        }
+
+        // Run in order so e.g. initialize takes effect before later calls in the same batch
+        const responses = [];
+        for (const message of parsed) {
+            const response = await dispatchMessage(message, handler, onResponse, logger);
+            if (response !== null) {
+                responses.push(response);
+            }
+        }
+
+        return responses.length > 0
+            ? { status: 200, body: responses }
+            : { status: 202, body: null };
+    }
+
+    const response = await dispatchMessage(parsed, handler, onResponse, logger);
+    if (response === null) {
+        return { status: 202, body: null };
+    }
+
+    const invalid = response.error &&
+        (response.error.code === JSON_RPC_ERRORS.INVALID_REQUEST || response.error.code === JSON_RPC_ERRORS.PARSE_ERROR);
+
+    return {
+        status: invalid ? 400 : 200,
+        body: response
+    };
+}
+
+// Make the dispatcher available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.JSON_RPC_ERRORS = JSON_RPC_ERRORS;
+    self.JsonRpcError = JsonRpcError;
+    self.createErrorResponse = createErrorResponse;
+    self.dispatchJsonRpc = dispatchJsonRpc;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JSON_RPC_ERRORS, JsonRpcError, createErrorResponse, dispatchJsonRpc };
+}
@@ -0,0 +1,805 @@
+/**
+ * LinkedIn REST API client
+ * Thin wrapper around the LinkedIn v2 and versioned /rest endpoints used by MCPServer
+ */
+
+class LinkedInApiError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'LinkedInApiError';
+        this.status = details.status || null;
+        this.serviceErrorCode = details.serviceErrorCode || null;
+        this.body = details.body || null;
+        // Seconds LinkedIn asked to wait (Retry-After) on a throttled call
+        this.retryAfter = details.retryAfter || null;
+    }
+}
+
+class LinkedInClient {
+    /**
+     * @param {string} token - OAuth 2.0 access token for the member
+     * @param {object} options - { baseUrl, version, fetch } overrides, e.g. to point at a local stand-in server;
+     *                          { maxRetries, retryDelayMs, sleep } tune retries of throttled and failed calls
+     */
+    constructor(token, options = {}) {
+        this.token = token;
+        this.baseUrl = (options.baseUrl || LinkedInClient.DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.version = options.version || LinkedInClient.DEFAULT_VERSION;
+        this.fetch = options.fetch || ((url, init) => fetch(url, init));
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.retryDelayMs = options.retryDelayMs || 500;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.isDemo = false;
+        this.memberUrn = null;
+        // Set on the per-call views withCall() returns
+        this.signal = null;
+        this.onProgress = null;
+    }
+
+    /**
+     * A view of this client for one tool call: its requests stop, and are not retried, once
+     * signal aborts, and onProgress(progress, total, message) hears about multi-step work such as
+     * media uploads. What the view learns about the member is kept on this client.
+     * @param {object} options - { signal (AbortSignal), onProgress }
+     */
+    withCall({ signal = null, onProgress = null } = {}) {
+        return Object.create(this, {
+            signal: { value: signal },
+            onProgress: { value: onProgress },
+            memberUrn: {
+                get: () => this.memberUrn,
+                set: urn => {
+                    this.memberUrn = urn;
+                }
+            }
+        });
+    }
+
+    reportProgress(progress, total, message) {
+        if (this.onProgress) {
+            this.onProgress(progress, total, message);
+        }
+    }
+
+    /**
+     * Send a request to the LinkedIn API and return { status, headers, data }
+     * Paths under /rest/ get the versioned headers the Marketing/Community APIs require;
+     * extraHeaders carries per-call headers such as X-RestLi-Method
+     */
+    async request(method, path, body, extraHeaders = {}) {
+        const headers = Object.assign({
+            'Authorization': 'Bearer ' + this.token
+        }, extraHeaders);
+
+        if (path.startsWith('/rest/')) {
+            headers['LinkedIn-Version'] = this.version;
+            headers['X-Restli-Protocol-Version'] = '2.0.0';
+        }
+
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const response = await this.send(this.baseUrl + path, {
+            method: method,
+            headers: headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        const text = await response.text();
+        let data = null;
+        if (text) {
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                data = { message: text };
+            }
+        }
+
+        if (!response.ok) {
+            throw new LinkedInApiError(
+                'LinkedIn API ' + method + ' ' + path + ' failed (' + response.status + '): ' +
+                    ((data && data.message) || response.statusText || 'Unknown error'),
+                {
+                    status: response.status,
+                    serviceErrorCode: data && data.serviceErrorCode,
+                    body: data,
+                    retryAfter: LinkedInClient.retryAfterSeconds(response)
+                }
+            );
+        }
+
+        return {
+            status: response.status,
+            headers: response.headers,
+            data: data
+        };
+    }
+
+    /**
+     * fetch() with retries and exponential backoff. 429 responses are always retried, since
+     * LinkedIn throttled the call without running it; 5xx responses and network failures only
+     * for idempotent methods, so a post is never created twice. A Retry-After header sets the
+     * wait; throttles longer than MAX_RETRY_DELAY_MS (e.g. daily limits) are returned to the caller.
+     * An aborted call is never retried.
+     */
+    async send(url, init) {
+        const idempotent = LinkedInClient.IDEMPOTENT_METHODS.includes(init.method);
+        if (this.signal) {
+            init = Object.assign({ signal: this.signal }, init);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            this.throwIfAborted();
+            let response = null;
+            try {
+                response = await this.fetch(url, init);
+            } catch (error) {
+                if (!idempotent || attempt >= this.maxRetries || (this.signal && this.signal.aborted)) {
+                    throw error;
+                }
+            }
+
+            if (response && !(response.status === 429 || (response.status >= 500 && idempotent))) {
+                return response;
+            }
+
+            const retryAfter = response && LinkedInClient.retryAfterSeconds(response);
+            const delay = retryAfter !== null && retryAfter !== undefined
+                ? retryAfter * 1000
+                : this.retryDelayMs * Math.pow(2, attempt) * (0.5 + Math.random() / 2);
+
+            if (response && (attempt >= this.maxRetries || delay > LinkedInClient.MAX_RETRY_DELAY_MS)) {
+                return response;
+            }
+            await this.sleep(delay);
+        }
+    }
+
+    throwIfAborted() {
+        if (this.signal && this.signal.aborted) {
+            throw this.signal.reason;
+        }
+    }
+
+    /**
+     * Get the current member via OpenID Connect userinfo, falling back to /v2/me
+     * for apps that were granted r_liteprofile instead of the openid scope
+     */
+    async getProfile() {
+        let profile;
+        try {
+            profile = (await this.request('GET', '/v2/userinfo')).data;
+            this.memberUrn = 'urn:li:person:' + profile.sub;
+        } catch (error) {
+            if (!(error instanceof LinkedInApiError) || (error.status !== 401 && error.status !== 403)) {
+                throw error;
+            }
+            profile = (await this.request('GET', '/v2/me')).data;
+            this.memberUrn = 'urn:li:person:' + profile.id;
+        }
+        return profile;
+    }
+
+    /**
+     * Resolve (and remember) the person URN used as post author
+     */
+    async getMemberUrn() {
+        if (!this.memberUrn) {
+            await this.getProfile();
+        }
+        return this.memberUrn;
+    }
+
+    /**
+     * Publish a post, uploading any media first
+     * @param {object} post - { text, visibility, author, media, article, poll, mentions }; author is an
+     *                        organization URN (defaults to the member) and media items are
+     *                        { kind: 'image'|'document', mimeType, data (base64), title, altText }
+     */
+    async createPost({ text, visibility = 'PUBLIC', author, media, article, poll, mentions }) {
+        author = author || await this.getMemberUrn();
+        const content = await this.buildPostContent(author, { media, article, poll });
+        const body = {
+            author: author,
+            commentary: LinkedInClient.formatCommentary(text, mentions),
+            visibility: visibility,
+            distribution: {
+                feedDistribution: 'MAIN_FEED',
+                targetEntities: [],
+                thirdPartyDistributionChannels: []
+            },
+            lifecycleState: 'PUBLISHED',
+            isReshareDisabledByAuthor: false
+        };
+        if (content) {
+            body.content = content;
+        }
+
+        const response = await this.request('POST', '/rest/posts', body);
+
+        return {
+            text: text,
+            id: response.headers.get('x-restli-id') || (response.data && response.data.id),
+            status: 'PUBLISHED',
+            visibility: visibility,
+            createdAt: new Date().toISOString(),
+            author: author,
+            content: content || null
+        };
+    }
+
+    /**
+     * Build the Posts API content object; media is uploaded on behalf of owner
+     */
+    async buildPostContent(owner, { media, article, poll }) {
+        if (media && media.length > 0) {
+            const assets = [];
+            for (const item of media) {
+                assets.push({
+                    id: await this.uploadMedia(owner, item),
+                    item: item
+                });
+                this.reportProgress(assets.length, media.length, 'Uploaded ' + item.kind + ' ' + assets.length + ' of ' + media.length);
+            }
+
+            if (assets.length === 1) {
+                const asset = assets[0];
+                return {
+                    media: asset.item.kind === 'document'
+                        ? { id: asset.id, title: asset.item.title }
+                        : { id: asset.id, altText: asset.item.altText || '' }
+                };
+            }
+
+            return {
+                multiImage: {
+                    images: assets.map(asset => ({ id: asset.id, altText: asset.item.altText || '' }))
+                }
+            };
+        }
+
+        if (article) {
+            const card = { source: article.url };
+            ['title', 'description', 'thumbnail'].forEach(field => {
+                if (article[field]) {
+                    card[field] = article[field];
+                }
+            });
+            return { article: card };
+        }
+
+        if (poll) {
+            return {
+                poll: {
+                    question: poll.question,
+                    options: poll.options.map(option => ({ text: option })),
+                    settings: { duration: poll.duration || 'THREE_DAYS' }
+                }
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Upload an image or document with the initializeUpload flow and return its URN
+     */
+    async uploadMedia(owner, { kind, mimeType, data }) {
+        const endpoint = kind === 'document' ? '/rest/documents' : '/rest/images';
+        const registration = (await this.request('POST', endpoint + '?action=initializeUpload', {
+            initializeUploadRequest: { owner: owner }
+        })).data.value;
+
+        const response = await this.send(registration.uploadUrl, {
+            method: 'PUT',
+            headers: {
+                'Authorization': 'Bearer ' + this.token,
+                'Content-Type': mimeType
+            },
+            body: LinkedInClient.decodeBase64(data)
+        });
+
+        if (!response.ok) {
+            throw new LinkedInApiError(
+                'LinkedIn ' + kind + ' upload failed (' + response.status + '): ' + (response.statusText || 'Unknown error'),
+                { status: response.status }
+            );
+        }
+
+        return kind === 'document' ? registration.document : registration.image;
+    }
+
+    /**
+     * Get a page of the member's posts, newest first
+     */
+    async getRecentPosts(count = 10, start = 0) {
+        const author = await this.getMemberUrn();
+        const response = await this.request(
+            'GET',
+            '/rest/posts?q=author&author=' + encodeURIComponent(author) +
+                '&start=' + start + '&count=' + count + '&sortBy=LAST_MODIFIED'
+        );
+
+        return {
+            elements: (response.data && response.data.elements) || [],
+            paging: (response.data && response.data.paging) || { start: start, count: count }
+        };
+    }
+
+    /**
+     * Get a post by URN; resolves with null when it does not exist
+     */
+    async getPost(postUrn) {
+        try {
+            return (await this.request('GET', '/rest/posts/' + encodeURIComponent(postUrn))).data;
+        } catch (error) {
+            if (error instanceof LinkedInApiError && error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get a page of comments on a post, oldest first
+     */
+    async getComments(postUrn, count = 10, start = 0) {
+        const response = await this.request(
+            'GET',
+            '/rest/socialActions/' + encodeURIComponent(postUrn) + '/comments?start=' + start + '&count=' + count
+        );
+
+        return {
+            elements: (response.data && response.data.elements) || [],
+            paging: (response.data && response.data.paging) || { start: start, count: count }
+        };
+    }
+
+    /**
+     * Comment on a post as the member, or as an organization URN passed in actor
+     */
+    async addComment(postUrn, { text, actor }) {
+        actor = actor || await this.getMemberUrn();
+        const response = await this.request('POST', '/rest/socialActions/' + encodeURIComponent(postUrn) + '/comments', {
+            actor: actor,
+            object: postUrn,
+            message: { text: text }
+        });
+
+        return {
+            id: response.headers.get('x-restli-id') || (response.data && response.data.id),
+            object: postUrn,
+            actor: actor,
+            text: text,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * React to a post; reactionType is one of LIKE, PRAISE, EMPATHY, INTEREST, APPRECIATION, ENTERTAINMENT
+     */
+    async addReaction(postUrn, reactionType, actor) {
+        actor = actor || await this.getMemberUrn();
+        await this.request('POST', '/rest/reactions?actor=' + encodeURIComponent(actor), {
+            root: postUrn,
+            reactionType: reactionType
+        });
+
+        return {
+            root: postUrn,
+            actor: actor,
+            reactionType: reactionType
+        };
+    }
+
+    async removeReaction(postUrn, actor) {
+        actor = actor || await this.getMemberUrn();
+        await this.request(
+            'DELETE',
+            '/rest/reactions/(actor:' + encodeURIComponent(actor) + ',entity:' + encodeURIComponent(postUrn) + ')'
+        );
+
+        return {
+            root: postUrn,
+            actor: actor
+        };
+    }
+
+    /**
+     * Lifetime performance of a post as { impressions, uniqueImpressions, clicks, reactions, comments,
+     * shares, engagement }. Organization posts use share statistics; member posts use creator
+     * analytics, which have no click or engagement data (null).
+     */
+    async getPostAnalytics(postUrn, author) {
+        if (author && author.startsWith('urn:li:organization:')) {
+            const shares = (postUrn.startsWith('urn:li:ugcPost:') ? '&ugcPosts=List(' : '&shares=List(') +
+                encodeURIComponent(postUrn) + ')';
+            const response = await this.request(
+                'GET',
+                '/rest/organizationalEntityShareStatistics?q=organizationalEntity&organizationalEntity=' +
+                    encodeURIComponent(author) + shares
+            );
+            const element = ((response.data && response.data.elements) || [])[0] || {};
+
+            return LinkedInClient.shareStatistics(element.totalShareStatistics);
+        }
+
+        const entity = postUrn.startsWith('urn:li:ugcPost:') ? '(ugc:' : '(share:';
+        const counts = await Promise.all(
+            ['IMPRESSION', 'MEMBERS_REACHED', 'REACTION', 'COMMENT', 'RESHARE'].map(async queryType => {
+                const response = await this.request(
+                    'GET',
+                    '/rest/memberCreatorPostAnalytics?q=entity&entity=' + entity + encodeURIComponent(postUrn) + ')' +
+                        '&queryType=' + queryType + '&aggregation=TOTAL'
+                );
+                const element = ((response.data && response.data.elements) || [])[0];
+                return element ? element.count : 0;
+            })
+        );
+
+        return {
+            impressions: counts[0],
+            uniqueImpressions: counts[1],
+            clicks: null,
+            reactions: counts[2],
+            comments: counts[3],
+            shares: counts[4],
+            engagement: null
+        };
+    }
+
+    /**
+     * Follower gains per interval plus lifetime follower counts by seniority, industry,
+     * country and job function
+     * @param {object} range - { start, end } in epoch milliseconds and granularity (DAY or MONTH)
+     */
+    async getOrganizationFollowerStatistics(organizationUrn, range) {
+        const path = '/rest/organizationalEntityFollowerStatistics?q=organizationalEntity&organizationalEntity=' +
+            encodeURIComponent(organizationUrn);
+        const [series, lifetime] = await Promise.all([
+            this.request('GET', path + '&timeIntervals=' + LinkedInClient.timeIntervals(range)),
+            this.request('GET', path)
+        ]);
+        const followers = counts => ({
+            organic: (counts && counts.organicFollowerCount) || 0,
+            paid: (counts && counts.paidFollowerCount) || 0
+        });
+
+        return {
+            series: LinkedInClient.elements(series).map(element => Object.assign(
+                LinkedInClient.interval(element.timeRange),
+                {
+                    organicFollowerGain: (element.followerGains && element.followerGains.organicFollowerGain) || 0,
+                    paidFollowerGain: (element.followerGains && element.followerGains.paidFollowerGain) || 0
+                }
+            )),
+            demographics: LinkedInClient.demographics(LinkedInClient.elements(lifetime)[0], {
+                seniority: ['followerCountsBySeniority', 'seniority'],
+                industry: ['followerCountsByIndustry', 'industry'],
+                geo: ['followerCountsByGeoCountry', 'geo'],
+                function: ['followerCountsByFunction', 'function']
+            }, entry => followers(entry.followerCounts))
+        };
+    }
+
+    /**
+     * Page views per interval plus lifetime page views by seniority, industry, country and job function
+     */
+    async getOrganizationPageStatistics(organizationUrn, range) {
+        const path = '/rest/organizationPageStatistics?q=organization&organization=' + encodeURIComponent(organizationUrn);
+        const [series, lifetime] = await Promise.all([
+            this.request('GET', path + '&timeIntervals=' + LinkedInClient.timeIntervals(range)),
+            this.request('GET', path)
+        ]);
+        const views = statistics => {
+            const pageViews = (statistics && statistics.views) || {};
+            const count = key => (pageViews[key] && pageViews[key].pageViews) || 0;
+            return {
+                pageViews: count('allPageViews'),
+                uniquePageViews: (pageViews.allPageViews && pageViews.allPageViews.uniquePageViews) || 0,
+                desktopPageViews: count('allDesktopPageViews'),
+                mobilePageViews: count('allMobilePageViews')
+            };
+        };
+
+        return {
+            series: LinkedInClient.elements(series).map(element => Object.assign(
+                LinkedInClient.interval(element.timeRange),
+                views(element.totalPageStatistics)
+            )),
+            demographics: LinkedInClient.demographics(LinkedInClient.elements(lifetime)[0], {
+                seniority: ['pageStatisticsBySeniority', 'seniority'],
+                industry: ['pageStatisticsByIndustry', 'industry'],
+                geo: ['pageStatisticsByGeoCountry', 'geo'],
+                function: ['pageStatisticsByFunction', 'function']
+            }, entry => views(entry.pageStatistics))
+        };
+    }
+
+    /**
+     * Post performance per interval plus lifetime totals; LinkedIn has no demographic
+     * breakdown for share statistics
+     */
+    async getOrganizationShareStatistics(organizationUrn, range) {
+        const path = '/rest/organizationalEntityShareStatistics?q=organizationalEntity&organizationalEntity=' +
+            encodeURIComponent(organizationUrn);
+        const [series, lifetime] = await Promise.all([
+            this.request('GET', path + '&timeIntervals=' + LinkedInClient.timeIntervals(range)),
+            this.request('GET', path)
+        ]);
+        const total = LinkedInClient.elements(lifetime)[0];
+
+        return {
+            series: LinkedInClient.elements(series).map(element => Object.assign(
+                LinkedInClient.interval(element.timeRange),
+                LinkedInClient.shareStatistics(element.totalShareStatistics)
+            )),
+            totals: LinkedInClient.shareStatistics(total && total.totalShareStatistics)
+        };
+    }
+
+    /**
+     * Get an organization's most recent posts, newest first
+     */
+    async getOrganizationPosts(organizationUrn, count = 10, start = 0) {
+        const response = await this.request(
+            'GET',
+            '/rest/posts?q=author&author=' + encodeURIComponent(organizationUrn) +
+                '&start=' + start + '&count=' + count + '&sortBy=LAST_MODIFIED'
+        );
+
+        return {
+            elements: (response.data && response.data.elements) || [],
+            paging: (response.data && response.data.paging) || { start: start, count: count }
+        };
+    }
+
+    /**
+     * Replace the commentary of a post; LinkedIn only allows editing the text of published posts
+     */
+    async updatePost(postUrn, { text, mentions }) {
+        await this.request(
+            'POST',
+            '/rest/posts/' + encodeURIComponent(postUrn),
+            { patch: { $set: { commentary: LinkedInClient.formatCommentary(text, mentions) } } },
+            { 'X-RestLi-Method': 'PARTIAL_UPDATE' }
+        );
+
+        return {
+            id: postUrn,
+            text: text,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    async deletePost(postUrn) {
+        await this.request('DELETE', '/rest/posts/' + encodeURIComponent(postUrn), undefined, {
+            'X-RestLi-Method': 'DELETE'
+        });
+    }
+
+    /**
+     * Get an organization by its numeric ID; resolves with null when it does not exist
+     */
+    async getOrganization(id) {
+        try {
+            return (await this.request('GET', '/rest/organizations/' + encodeURIComponent(id))).data;
+        } catch (error) {
+            if (error instanceof LinkedInApiError && error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Look up organizations by vanity name (the public search API is not available to most apps)
+     * @param {object} filters - { industry, location, companySize } applied to the matches
+     */
+    async searchOrganizations(query, count = 10, start = 0, filters = {}) {
+        const vanityName = query.trim().toLowerCase().replace(/\s+/g, '-');
+        const response = await this.request(
+            'GET',
+            '/rest/organizations?q=vanityName&vanityName=' + encodeURIComponent(vanityName)
+        );
+        const matches = ((response.data && response.data.elements) || [])
+            .filter(organization => LinkedInClient.matchesOrganizationFilters(organization, filters));
+
+        return {
+            elements: matches.slice(start, start + count),
+            paging: {
+                total: matches.length,
+                count: count,
+                start: start
+            }
+        };
+    }
+
+    /**
+     * List the organizations the member holds an approved role on, with their names resolved
+     */
+    async getOrganizationAcls(role = null, count = 100, start = 0) {
+        let path = '/rest/organizationAcls?q=roleAssignee&state=APPROVED&start=' + start + '&count=' + count;
+        if (role) {
+            path += '&role=' + encodeURIComponent(role);
+        }
+
+        const response = (await this.request('GET', path)).data || {};
+        const acls = response.elements || [];
+        const ids = acls.map(acl => acl.organization.split(':').pop());
+        let names = {};
+
+        if (ids.length > 0) {
+            const lookup = await this.request('GET', '/rest/organizations?ids=List(' + ids.join(',') + ')');
+            names = (lookup.data && lookup.data.results) || {};
+        }
+
+        return {
+            elements: acls.map(acl => {
+                const organization = names[acl.organization.split(':').pop()];
+                return {
+                    organization: acl.organization,
+                    role: acl.role,
+                    state: acl.state,
+                    organizationName: organization ? organization.localizedName : null
+                };
+            }),
+            paging: response.paging || { start: start, count: count }
+        };
+    }
+
+    /**
+     * Convert plain text to the "little text format" used by post commentary: reserved
+     * characters are escaped, #hashtags become hashtag templates and mentions become
+     * @[Name](urn) annotations (the first occurrence of "@Name", or else "Name")
+     */
+    static formatCommentary(text, mentions = []) {
+        const escape = segment => segment.replace(
+            /#([\p{L}\p{N}_]+)|([|{}@[\]()<>#\\*_~])/gu,
+            (match, hashtag, reserved) => hashtag ? '{hashtag|\\#|' + hashtag + '}' : '\\' + reserved
+        );
+
+        const spans = [];
+        (mentions || []).forEach(mention => {
+            let start = text.indexOf('@' + mention.name);
+            let end = start + mention.name.length + 1;
+            if (start === -1) {
+                start = text.indexOf(mention.name);
+                end = start + mention.name.length;
+            }
+            const overlaps = spans.some(span => start < span.end && end > span.start);
+            if (start !== -1 && !overlaps) {
+                spans.push({ start: start, end: end, markup: '@[' + escape(mention.name) + '](' + mention.urn + ')' });
+            }
+        });
+        spans.sort((a, b) => a.start - b.start);
+
+        let result = '';
+        let position = 0;
+        spans.forEach(span => {
+            result += escape(text.slice(position, span.start)) + span.markup;
+            position = span.end;
+        });
+        return result + escape(text.slice(position));
+    }
+
+    /**
+     * Search filters against an organization record: industry matches an industry URN or name,
+     * location any part of an address, companySize the staffCountRange (e.g. SIZE_51_TO_200)
+     */
+    static matchesOrganizationFilters(organization, { industry, location, companySize } = {}) {
+        const contains = (values, term) => values.some(value =>
+            typeof value === 'string' && value.toLowerCase().indexOf(term.toLowerCase()) !== -1
+        );
+
+        if (industry && !contains([].concat(organization.industries || [], organization.industriesV2 || []), industry)) {
+            return false;
+        }
+        if (location) {
+            const addresses = (organization.locations || []).map(entry => entry.address || {});
+            const parts = [];
+            addresses.forEach(address => parts.push(address.city, address.geographicArea, address.country));
+            if (!contains(parts, location)) {
+                return false;
+            }
+        }
+        if (companySize && organization.staffCountRange !== companySize) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Rest.li encoding of a statistics time range: (timeRange:(start:..,end:..),timeGranularityType:DAY)
+     */
+    static timeIntervals({ start, end, granularity }) {
+        return '(timeRange:(start:' + start + ',end:' + end + '),timeGranularityType:' + granularity + ')';
+    }
+
+    static interval(timeRange) {
+        return {
+            start: new Date(timeRange.start).toISOString(),
+            end: new Date(timeRange.end).toISOString()
+        };
+    }
+
+    static elements(response) {
+        return (response.data && response.data.elements) || [];
+    }
+
+    /**
+     * Map statistics arrays such as followerCountsBySeniority to { seniority: [{ urn, ...counts }] }
+     * @param {object} fields - output name -> [array property, URN property]
+     */
+    static demographics(element, fields, counts) {
+        const result = {};
+        Object.keys(fields).forEach(name => {
+            const [property, key] = fields[name];
+            result[name] = ((element && element[property]) || []).map(entry =>
+                Object.assign({ urn: entry[key] }, counts(entry))
+            );
+        });
+        return result;
+    }
+
+    static shareStatistics(stats) {
+        stats = stats || {};
+        return {
+            impressions: stats.impressionCount || 0,
+            uniqueImpressions: stats.uniqueImpressionsCount || 0,
+            clicks: stats.clickCount || 0,
+            reactions: stats.likeCount || 0,
+            comments: stats.commentCount || 0,
+            shares: stats.shareCount || 0,
+            engagement: stats.engagement || 0
+        };
+    }
+
+    /**
+     * Retry-After of a response in seconds (delta-seconds or an HTTP date), or null
+     */
+    static retryAfterSeconds(response) {
+        const value = response.headers && response.headers.get('Retry-After');
+        if (!value) {
+            return null;
+        }
+        if (/^\d+$/.test(value.trim())) {
+            return Number(value.trim());
+        }
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+
+    /**
+     * Decode base64 (as carried by MCP content blocks) into bytes for upload
+     */
+    static decodeBase64(data) {
+        const binary = atob(data.replace(/\s+/g, ''));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+LinkedInClient.DEFAULT_BASE_URL = 'https://api.linkedin.com';
+LinkedInClient.DEFAULT_VERSION = '202509';
+
+// Methods that are safe to repeat after a server error or dropped connection
+LinkedInClient.IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+// Longest Retry-After (or backoff) worth waiting for inside a single tool call
+LinkedInClient.MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// Make the client available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.LinkedInClient = LinkedInClient;
+    self.LinkedInApiError = LinkedInApiError;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LinkedInClient, LinkedInApiError };
+}
@@ -0,0 +1,159 @@
+/**
+ * Leveled, structured logging shared by the service worker and Node.js
+ * Levels are the syslog ones MCP uses for logging/setLevel. Entries are written as
+ * text or JSON lines, with secrets redacted, and the most recent ones are kept in
+ * memory for the dashboard's admin panel.
+ */
+
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+class Logger {
+    /**
+     * @param {object} options - { level, format ('text' or 'json'), write(line, entry), historySize }
+     *                           write defaults to stderr in Node.js and the console elsewhere
+     */
+    constructor(options = {}) {
+        this.level = Logger.normalizeLevel(options.level || 'info');
+        this.format = options.format || 'text';
+        this.write = options.write || Logger.writeToConsole;
+        this.historySize = options.historySize !== undefined ? options.historySize : 200;
+        this.history = [];
+        this.name = null;
+    }
+
+    /**
+     * @throws {Error} for a level that is not one of LOG_LEVELS
+     */
+    setLevel(level) {
+        this.level = Logger.normalizeLevel(level);
+    }
+
+    /**
+     * Whether entries at level pass the threshold (this logger's level by default)
+     */
+    isEnabled(level, threshold = this.level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+    }
+
+    /**
+     * A logger that tags its entries with name; it shares level, history and output with this one
+     */
+    child(name) {
+        const child = Object.create(this);
+        child.name = name;
+        return child;
+    }
+
+    /**
+     * @param {string} level - one of LOG_LEVELS
+     * @param {string} message
+     * @param {object|Error} [fields] - structured data merged into the entry; an Error becomes { error, stack }
+     * @returns {object|null} the redacted entry, or null when level is below the threshold
+     */
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) {
+            return null;
+        }
+
+        const entry = Object.assign(
+            { time: new Date().toISOString(), level: level },
+            this.name ? { logger: this.name } : {},
+            { message: message },
+            Logger.redact(fields instanceof Error ? { error: fields.message, stack: fields.stack } : fields)
+        );
+
+        this.history.push(entry);
+        if (this.history.length > this.historySize) {
+            this.history.splice(0, this.history.length - this.historySize);
+        }
+
+        this.write(this.formatEntry(entry), entry);
+        return entry;
+    }
+
+    formatEntry(entry) {
+        if (this.format === 'json') {
+            return JSON.stringify(entry);
+        }
+
+        const { time, level, logger, message, ...fields } = entry;
+        return '[' + time + '] ' + level.toUpperCase() + ' ' + (logger ? logger + ': ' : '') + message +
+            (Object.keys(fields).length > 0 ? ' ' + JSON.stringify(fields) : '');
+    }
+
+    /**
+     * Copy of value with secrets replaced and base64 payloads reduced to their size, safe to
+     * write to logs and the audit trail
+     */
+    static redact(value, key) {
+        if (key && Logger.SECRET_KEY_PATTERN.test(key) && value !== null && value !== undefined) {
+            return '[REDACTED]';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => Logger.redact(item));
+        }
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message };
+        }
+        if (value !== null && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach(name => {
+                copy[name] = Logger.redact(value[name], name);
+            });
+            return copy;
+        }
+        if (typeof value === 'string') {
+            if ((key === 'data' || key === 'blob') && value.length > 64) {
+                return '<' + Math.floor(value.length * 3 / 4) + ' bytes>';
+            }
+            return value.replace(/\bBearer\s+[^\s"',]+/gi, 'Bearer [REDACTED]');
+        }
+        return value;
+    }
+
+    /**
+     * Accepts 'warn' for 'warning', as used by console-style loggers
+     */
+    static normalizeLevel(level) {
+        const normalized = level === 'warn' ? 'warning' : level;
+        if (!LOG_LEVELS.includes(normalized)) {
+            throw new Error('Invalid log level "' + level + '"; use one of ' + LOG_LEVELS.join(', '));
+        }
+        return normalized;
+    }
+
+    static writeToConsole(line, entry) {
+        // stdout is reserved for protocol messages when Node.js serves stdio
+        if (typeof process !== 'undefined' && process.stderr) {
+            process.stderr.write(line + '\n');
+        } else if (LOG_LEVELS.indexOf(entry.level) >= LOG_LEVELS.indexOf('error')) {
+            console.error(line);
+        } else if (entry.level === 'warning') {
+            console.warn(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+// Property names whose values are never logged or audited
+Logger.SECRET_KEY_PATTERN = /token|secret|password|authorization|api[-_]?key|cookie|code_?verifier/i;
+
+// One method per level, plus warn() so the logger can stand in for console
+LOG_LEVELS.forEach(level => {
+    Logger.prototype[level] = function(message, fields) {
+        return this.log(level, message, fields);
+    };
+});
+Logger.prototype.warn = Logger.prototype.warning;
+
+// Make the logger available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.Logger = Logger;
+    self.LOG_LEVELS = LOG_LEVELS;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Logger, LOG_LEVELS };
+}
@@ -3,57 +3,414 @@
  * Model Context Protocol implementation for LinkedIn integration
  */
 
+// Helper modules are require()d in Node.js; pages (<script>) and the service
+// worker (importScripts) load them before this file, so they live on self.
+const MCPModules = typeof module !== 'undefined' && module.exports
+    ? {
+        ...require('./jsonRpc'),
+        ...require('./schemaValidator'),
+        ...require('./logger'),
+        ...require('./rateLimiter'),
+        ...require('./toolCache'),
+        ...require('./toolMetrics'),
+        ...require('./linkedinClient'),
+        ...require('./demoBackend'),
+        ...require('./prompts')
+    }
+    : self;
+
 class MCPServer {
-    constructor(linkedinToken = null) {
+    /**
+     * @param {string|null} linkedinToken - LinkedIn access token; without one the demo backend is used
+     * @param {object} options - { backend, demo, linkedin: { baseUrl, version, fetch }, postQueue, confirmWrites,
+     *                          toolQuotas, toolCache, logger, auditLog, toolMetrics, readOnly, disabledTools, plugins,
+     *                          toolTimeouts, accountTokens }
+     *                          postQueue (a PostQueue) enables scheduled and draft posts; accountTokens (a Map
+     *                          shared by all sessions) remembers each member's latest token to publish them with;
+     *                          confirmWrites: false lets write tools run without a confirmed preview;
+     *                          toolQuotas (from MCPServer.createToolQuotas), toolCache (a ToolCache),
+     *                          logger (a Logger), auditLog (an AuditLog) and toolMetrics (a ToolMetrics)
+     *                          can be shared by all sessions; without an auditLog write tools are not audited;
+     *                          readOnly hides every write tool and disabledTools hides tools by name;
+     *                          plugins are functions (server) => void that register more tools;
+     *                          toolTimeouts ({ toolName: ms }) overrides MCPServer.TOOL_TIMEOUTS
+     */
+    constructor(linkedinToken = null, options = {}) {
         this.linkedinToken = linkedinToken;
+        this.options = options;
+        this.client = null;
+        this.demoBackend = new MCPModules.DemoBackend();
+        this.postQueue = options.postQueue || null;
+        this.accountTokens = options.accountTokens || new Map();
         this.version = '1.0.0';
         this.serverInfo = {
             name: 'linkedin-mcp-server',
-            version: this.version,
-            protocol: 'MCP 1.0'
+            version: this.version
         };
+
+        // Session state, set up by the initialize handshake
+        this.protocolVersion = null;
+        this.clientInfo = null;
+        this.clientCapabilities = {};
+        this.initialized = false;
+
+        // Transports subscribe here for server-initiated notifications
+        this.notificationListeners = new Set();
+
+        // Requests sent to the client (elicitation/create), by id, awaiting its response
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
         
-        // Initialize tools
-        this.tools = this.initializeTools();
+        // Write tools hand out a preview and a single-use confirmation token first
+        this.confirmWrites = options.confirmWrites !== false;
+        this.pendingConfirmations = new Map();
+
+        // Per-tool limits on how often each LinkedIn account may call e.g. create_post
+        this.toolQuotas = options.toolQuotas || MCPServer.createToolQuotas();
+
+        // Results of read-only tools, per LinkedIn account (see MCPServer.CACHE_POLICIES)
+        this.toolCache = options.toolCache || new MCPModules.ToolCache();
+
+        // Tool calls in flight, by request id, so notifications/cancelled can abort them;
+        // each call is aborted once it runs longer than its timeout (see MCPServer.TOOL_TIMEOUTS)
+        this.inFlight = new Map();
+        this.toolTimeouts = Object.assign({}, MCPServer.TOOL_TIMEOUTS, options.toolTimeouts);
+
+        // Logging, the write tool audit trail and per-tool call counters
+        this.logger = (options.logger || new MCPModules.Logger()).child(this.serverInfo.name);
+        this.auditLog = options.auditLog || null;
+        this.toolMetrics = options.toolMetrics || new MCPModules.ToolMetrics();
+        // Lowest level sent to the client as notifications/message; none until logging/setLevel
+        this.clientLogLevel = null;
+
+        // Tool registry: definitions as tools/list shows them, and the handlers that run them
+        this.tools = {};
+        this.toolHandlers = new Map();
+        this.readOnly = Boolean(options.readOnly);
+        this.disabledTools = new Set(options.disabledTools || []);
+        this.registerBuiltInTools();
+        (options.plugins || []).forEach(plugin => plugin(this));
+
+        // Initialize resources; subscriptions are URIs the client wants update notifications for
+        this.resources = this.initializeResources();
+        this.resourceSubscriptions = new Set();
+
+        // Initialize prompts
+        this.prompts = this.initializePrompts();
     }
 
     /**
-     * Initialize available MCP tools
+     * Definitions of the built-in LinkedIn tools, keyed by name
      */
     initializeTools() {
-        return {
+        // Output schemas shared by several tools; LinkedIn objects may carry more fields than listed
+        const post = {
+            type: "object",
+            properties: {
+                id: { type: "string", description: "Post URN" },
+                author: { type: "string", description: "Person or organization URN" },
+                text: { type: "string" },
+                visibility: { type: "string" },
+                status: { type: "string" },
+                createdAt: { type: ["string", "number"] }
+            }
+        };
+        const queuedPost = {
+            type: "object",
+            properties: {
+                id: { type: "string" },
+                status: {
+                    type: "string",
+                    enum: ["draft", "scheduled", "publishing", "published", "failed", "cancelled"]
+                },
+                publishAt: { type: ["string", "null"] },
+                post: { type: "object" },
+                attempts: { type: "integer" },
+                nextAttemptAt: { type: ["string", "null"] },
+                lastError: { type: ["string", "null"] },
+                postId: { type: ["string", "null"], description: "URN of the published post" },
+                publishedAt: { type: ["string", "null"] },
+                createdAt: { type: "string" },
+                updatedAt: { type: "string" }
+            },
+            required: ["id", "status", "post"]
+        };
+        const comment = {
+            type: "object",
+            properties: {
+                id: { type: "string" },
+                object: { type: "string", description: "URN of the post" },
+                actor: { type: "string" },
+                text: { type: "string" },
+                createdAt: { type: ["string", "number"] }
+            }
+        };
+        const reaction = {
+            type: "object",
+            properties: {
+                root: { type: "string", description: "URN of the post" },
+                actor: { type: "string" },
+                reactionType: { type: "string" }
+            }
+        };
+        const organization = {
+            type: "object",
+            properties: {
+                id: { type: ["string", "number"] },
+                localizedName: { type: "string" },
+                vanityName: { type: "string" },
+                staffCountRange: { type: "string" }
+            }
+        };
+        const organizationAcl = {
+            type: "object",
+            properties: {
+                organization: { type: "string", description: "Organization URN" },
+                role: { type: "string" },
+                state: { type: "string" },
+                organizationName: { type: ["string", "null"] }
+            },
+            required: ["organization", "role"]
+        };
+        const statistics = {
+            type: "object",
+            properties: {
+                organization: { type: "string" },
+                timeRange: {
+                    type: "object",
+                    properties: {
+                        start: { type: "string" },
+                        end: { type: "string" }
+                    }
+                },
+                granularity: { type: "string", enum: ["DAY", "MONTH"] },
+                series: { type: "array", items: { type: "object" } },
+                demographics: { type: "object" },
+                totals: { type: "object" }
+            },
+            required: ["organization", "timeRange", "granularity", "series"]
+        };
+        const page = items => ({
+            type: "object",
+            properties: {
+                elements: { type: "array", items: items },
+                paging: {
+                    type: "object",
+                    properties: {
+                        start: { type: "integer" },
+                        count: { type: "integer" },
+                        total: { type: "integer" }
+                    }
+                },
+                nextCursor: { type: "string", description: "Pass as cursor to get the next page" }
+            },
+            required: ["elements"]
+        });
+
+        const tools = {
             get_profile: {
                 name: "get_profile",
                 description: "Get LinkedIn profile information for the current user",
+                annotations: {
+                    title: "Get profile",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
                 inputSchema: {
                     type: "object",
                     properties: {},
-                    required: []
+                    required: [],
+                    additionalProperties: false
+                },
+                outputSchema: {
+                    type: "object",
+                    description: "The member's profile; fields depend on the scopes granted (OpenID Connect userinfo or /v2/me)",
+                    properties: {
+                        id: { type: "string" },
+                        sub: { type: "string" },
+                        name: { type: "string" },
+                        email: { type: "string" }
+                    }
                 }
             },
             create_post: {
                 name: "create_post",
-                description: "Create a new LinkedIn post",
+                description: "Create a new LinkedIn post. A post can carry one kind of attachment: " +
+                    "images (up to 20) or a single document in media, an article link, or a poll",
+                annotations: {
+                    title: "Create post",
+                    readOnlyHint: false,
+                    destructiveHint: false,
+                    idempotentHint: false,
+                    openWorldHint: true
+                },
                 inputSchema: {
                     type: "object",
                     properties: {
                         text: {
                             type: "string",
-                            description: "The text content of the post"
+                            description: "The text content of the post; #hashtags are kept as hashtags",
+                            maxLength: 3000
                         },
                         visibility: {
                             type: "string",
                             description: "Post visibility (PUBLIC or CONNECTIONS)",
                             enum: ["PUBLIC", "CONNECTIONS"],
                             default: "PUBLIC"
+                        },
+                        author: {
+                            type: "string",
+                            description: "Organization URN (urn:li:organization:<id>) to post as; requires an " +
+                                "ADMINISTRATOR or CONTENT_ADMINISTRATOR role. Defaults to the member"
+                        },
+                        publishAt: {
+                            type: "string",
+                            description: "ISO 8601 date-time to publish at, e.g. 2025-06-01T09:00:00Z; " +
+                                "the post is queued instead of published now"
+                        },
+                        draft: {
+                            type: "boolean",
+                            description: "Save the post as a draft in the queue without publishing it",
+                            default: false
+                        },
+                        media: {
+                            type: "array",
+                            description: "Files to upload and attach. Each item is an MCP image content block " +
+                                "({type: \"image\", data, mimeType}), an embedded resource " +
+                                "({type: \"resource\", resource: {uri, mimeType, blob}}) or a document " +
+                                "({type: \"document\", data, mimeType, title}); data and blob are base64",
+                            minItems: 1,
+                            maxItems: 20,
+                            items: {
+                                type: "object",
+                                properties: {
+                                    type: {
+                                        type: "string",
+                                        enum: ["image", "document", "resource"]
+                                    },
+                                    data: {
+                                        type: "string",
+                                        description: "Base64-encoded file content"
+                                    },
+                                    mimeType: {
+                                        type: "string",
+                                        description: "e.g. image/png, image/jpeg, application/pdf"
+                                    },
+                                    resource: {
+                                        type: "object",
+                                        description: "Embedded resource with uri, mimeType and a base64 blob"
+                                    },
+                                    title: {
+                                        type: "string",
+                                        description: "Title shown for documents"
+                                    },
+                                    altText: {
+                                        type: "string",
+                                        description: "Alternative text for images",
+                                        maxLength: 4086
+                                    }
+                                },
+                                required: ["type"]
+                            }
+                        },
+                        article: {
+                            type: "object",
+                            description: "Share a link as an article card",
+                            properties: {
+                                url: {
+                                    type: "string",
+                                    description: "Article URL"
+                                },
+                                title: {
+                                    type: "string",
+                                    description: "Title shown on the card",
+                                    maxLength: 400
+                                },
+                                description: {
+                                    type: "string",
+                                    description: "Description shown on the card",
+                                    maxLength: 4086
+                                },
+                                thumbnail: {
+                                    type: "string",
+                                    description: "Image URN (urn:li:image:...) to use as the card thumbnail"
+                                }
+                            },
+                            required: ["url"],
+                            additionalProperties: false
+                        },
+                        poll: {
+                            type: "object",
+                            description: "Attach a poll",
+                            properties: {
+                                question: {
+                                    type: "string",
+                                    maxLength: 140
+                                },
+                                options: {
+                                    type: "array",
+                                    items: {
+                                        type: "string",
+                                        minLength: 1,
+                                        maxLength: 30
+                                    },
+                                    minItems: 2,
+                                    maxItems: 4
+                                },
+                                duration: {
+                                    type: "string",
+                                    enum: ["ONE_DAY", "THREE_DAYS", "SEVEN_DAYS", "FOURTEEN_DAYS"],
+                                    default: "THREE_DAYS"
+                                }
+                            },
+                            required: ["question", "options"],
+                            additionalProperties: false
+                        },
+                        mentions: {
+                            type: "array",
+                            description: "People or organizations to mention. Each name must appear in text " +
+                                "(optionally prefixed with @) and is linked to the given URN",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    name: {
+                                        type: "string",
+                                        description: "Text to turn into the mention, e.g. \"Jane Doe\"",
+                                        minLength: 1
+                                    },
+                                    urn: {
+                                        type: "string",
+                                        description: "urn:li:person:... or urn:li:organization:..."
+                                    }
+                                },
+                                required: ["name", "urn"],
+                                additionalProperties: false
+                            }
                         }
                     },
-                    required: ["text"]
+                    required: ["text"],
+                    additionalProperties: false
+                },
+                outputSchema: {
+                    type: "object",
+                    properties: {
+                        post: post,
+                        scheduledPost: queuedPost
+                    }
                 }
             },
             search_organizations: {
                 name: "search_organizations", 
                 description: "Search for LinkedIn organizations",
+                annotations: {
+                    title: "Search organizations",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
                 inputSchema: {
                     type: "object",
                     properties: {
@@ -62,227 +419,2905 @@ class MCPServer {
                             description: "Search query for organizations"
                         },
                         limit: {
-                            type: "number",
-                            description: "Maximum number of results to return",
+                            type: "integer",
+                            description: "Maximum number of results per page",
                             default: 10,
                             minimum: 1,
                             maximum: 50
+                        },
+                        industry: {
+                            type: "string",
+                            description: "Only organizations in this industry (name or urn:li:industry:<id>)"
+                        },
+                        location: {
+                            type: "string",
+                            description: "Only organizations located here, e.g. a city or country"
+                        },
+                        companySize: {
+                            type: "string",
+                            description: "Only organizations with this staff count range",
+                            enum: [
+                                "SIZE_1", "SIZE_2_TO_10", "SIZE_11_TO_50", "SIZE_51_TO_200", "SIZE_201_TO_500",
+                                "SIZE_501_TO_1000", "SIZE_1001_TO_5000", "SIZE_5001_TO_10000", "SIZE_10001_OR_MORE"
+                            ]
+                        },
+                        cursor: {
+                            type: "string",
+                            description: "nextCursor from the previous page; omit for the first page"
                         }
                     },
-                    required: ["query"]
-                }
+                    required: ["query"],
+                    additionalProperties: false
+                },
+                outputSchema: page(organization)
             },
             get_organizations: {
                 name: "get_organizations",
                 description: "Get organizations the user has access to",
+                annotations: {
+                    title: "List my organizations",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
                 inputSchema: {
                     type: "object", 
                     properties: {
                         role: {
                             type: "string",
-                            description: "Filter by role (ADMINISTRATOR, MEMBER, etc.)",
-                            enum: ["ADMINISTRATOR", "MEMBER", "CONTRIBUTOR"]
+                            description: "Filter by role (ADMINISTRATOR, CONTENT_ADMINISTRATOR, etc.)",
+                            enum: ["ADMINISTRATOR", "CONTENT_ADMINISTRATOR", "ANALYST", "MEMBER", "CONTRIBUTOR"]
+                        },
+                        count: {
+                            type: "integer",
+                            description: "Maximum number of organizations per page",
+                            default: 50,
+                            minimum: 1,
+                            maximum: 100
+                        },
+                        cursor: {
+                            type: "string",
+                            description: "nextCursor from the previous page; omit for the first page"
                         }
                     },
-                    required: []
-                }
-            }
-        };
-    }
-
-    /**
-     * Handle MCP tools/list request
-     */
-    handleToolsList() {
-        return {
-            jsonrpc: "2.0",
-            result: {
-                tools: Object.values(this.tools)
-            }
-        };
-    }
-
-    /**
-     * Handle MCP tools/call request
-     */
-    handleToolsCall(params) {
-        const toolName = params.name;
-        const arguments_ = params.arguments || {};
-        
-        if (!this.tools[toolName]) {
-            return {
-                jsonrpc: "2.0", 
-                error: {
-                    code: -32602,
-                    message: 'Unknown tool: ' + toolName,
-                    data: {
-                        availableTools: Object.keys(this.tools)
+                    required: [],
+                    additionalProperties: false
+                },
+                outputSchema: page(organizationAcl)
+            },
+            get_post: {
+                name: "get_post",
+                description: "Get a LinkedIn post by URN",
+                annotations: {
+                    title: "Get post",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        post_id: {
+                            type: "string",
+                            description: "Post URN (urn:li:share:... or urn:li:ugcPost:...)"
+                        }
+                    },
+                    required: ["post_id"],
+                    additionalProperties: false
+                },
+                outputSchema: post
+            },
+            list_my_posts: {
+                name: "list_my_posts",
+                description: "List the current user's posts, newest first, one page at a time",
+                annotations: {
+                    title: "List my posts",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        count: {
+                            type: "integer",
+                            description: "Maximum number of posts to return",
+                            default: 10,
+                            minimum: 1,
+                            maximum: 100
+                        },
+                        cursor: {
+                            type: "string",
+                            description: "nextCursor from the previous page; omit for the first page"
+                        }
+                    },
+                    required: [],
+                    additionalProperties: false
+                },
+                outputSchema: page(post)
+            },
+            get_post_comments: {
+                name: "get_post_comments",
+                description: "Get the comments on a post, one page at a time",
+                annotations: {
+                    title: "Get post comments",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        post_id: {
+                            type: "string",
+                            description: "Post URN (urn:li:share:... or urn:li:ugcPost:...)"
+                        },
+                        count: {
+                            type: "integer",
+                            description: "Maximum number of comments to return",
+                            default: 10,
+                            minimum: 1,
+                            maximum: 100
+                        },
+                        cursor: {
+                            type: "string",
+                            description: "nextCursor from the previous page; omit for the first page"
+                        }
+                    },
+                    required: ["post_id"],
+                    additionalProperties: false
+                },
+                outputSchema: page(comment)
+            },
+            add_comment: {
+                name: "add_comment",
+                description: "Comment on a post",
+                annotations: {
+                    title: "Add comment",
+                    readOnlyHint: false,
+                    destructiveHint: false,
+                    idempotentHint: false,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        post_id: {
+                            type: "string",
+                            description: "Post URN (urn:li:share:... or urn:li:ugcPost:...)"
+                        },
+                        text: {
+                            type: "string",
+                            description: "The comment text",
+                            minLength: 1,
+                            maxLength: 1250
+                        },
+                        author: {
+                            type: "string",
+                            description: "Organization URN to comment as; requires an ADMINISTRATOR or " +
+                                "CONTENT_ADMINISTRATOR role. Defaults to the member"
+                        }
+                    },
+                    required: ["post_id", "text"],
+                    additionalProperties: false
+                },
+                outputSchema: {
+                    type: "object",
+                    properties: {
+                        comment: comment
                     }
                 }
-            };
-        }
-
-        try {
-            let result;
-            switch(toolName) {
-                case "get_profile":
-                    result = this.getProfile();
-                    break;
-                case "create_post":
-                    result = this.createPost(arguments_.text, arguments_.visibility || "PUBLIC");
-                    break;
-                case "search_organizations":
-                    result = this.searchOrganizations(arguments_.query, arguments_.limit || 10);
-                    break;
-                case "get_organizations":
-                    result = this.getOrganizations(arguments_.role);
-                    break;
-                default:
-                    throw new Error('Tool ' + toolName + ' not implemented');
-            }
-
-            return {
-                jsonrpc: "2.0",
-                result: {
-                    content: [{
-                        type: "text",
-                        text: JSON.stringify(result, null, 2)
-                    }]
-                }
-            };
-        } catch (error) {
-            return {
-                jsonrpc: "2.0",
-                error: {
-                    code: -32603,
-                    message: 'Internal error: ' + error.message,
-                    data: {
-                        tool: toolName,
-                        arguments: arguments_
+            },
+            add_reaction: {
+                name: "add_reaction",
+                description: "React to a post; replaces the user's previous reaction",
+                annotations: {
+                    title: "Add reaction",
+                    readOnlyHint: false,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        post_id: {
+                            type: "string",
+                            description: "Post URN (urn:li:share:... or urn:li:ugcPost:...)"
+                        },
+                        reaction: {
+                            type: "string",
+                            description: "LIKE, PRAISE (celebrate), EMPATHY (love), INTEREST (insightful), " +
+                                "APPRECIATION (support) or ENTERTAINMENT (funny)",
+                            enum: ["LIKE", "PRAISE", "EMPATHY", "INTEREST", "APPRECIATION", "ENTERTAINMENT"],
+                            default: "LIKE"
+                        },
+                        author: {
+                            type: "string",
+                            description: "Organization URN to react as; requires an ADMINISTRATOR or " +
+                                "CONTENT_ADMINISTRATOR role. Defaults to the member"
+                        }
+                    },
+                    required: ["post_id"],
+                    additionalProperties: false
+                },
+                outputSchema: {
+                    type: "object",
+                    properties: {
+                        reaction: reaction
                     }
                 }
-            };
-        }
-    }
-
-    /**
-     * Handle MCP initialize request
-     */
-    handleInitialize(params) {
-        return {
-            jsonrpc: "2.0",
-            result: {
-                serverInfo: this.serverInfo,
-                capabilities: {
-                    tools: {
-                        listChanged: false
+            },
+            remove_reaction: {
+                name: "remove_reaction",
+                description: "Remove the user's reaction from a post",
+                annotations: {
+                    title: "Remove reaction",
+                    readOnlyHint: false,
+                    destructiveHint: true,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        post_id: {
+                            type: "string",
+                            description: "Post URN (urn:li:share:... or urn:li:ugcPost:...)"
+                        },
+                        author: {
+                            type: "string",
+                            description: "Organization URN to react as; requires an ADMINISTRATOR or " +
+                                "CONTENT_ADMINISTRATOR role. Defaults to the member"
+                        }
                     },
-                    resources: {
-                        subscribe: false,
-                        listChanged: false
+                    required: ["post_id"],
+                    additionalProperties: false
+                },
+                outputSchema: {
+                    type: "object",
+                    properties: {
+                        reaction: reaction
                     }
                 }
-            }
-        };
-    }
-
-    // LinkedIn API simulation methods (replace with real API calls)
-    
-    getProfile() {
-        return {
-            status: "demo",
-            message: "This is a demo response. Connect your LinkedIn app for real data.",
-            data: {
-                id: "sample-user-id",
-                firstName: { localized: { en_US: "Demo" } },
-                lastName: { localized: { en_US: "User" } },
-                headline: { localized: { en_US: "Professional using MCP Server" } },
-                industry: { localized: { en_US: "Technology" } },
-                location: { localized: { en_US: "San Francisco, CA" } },
-                profilePicture: null,
-                publicProfileUrl: "https://linkedin.com/in/demo-user"
-            }
-        };
-    }
-
-    createPost(text, visibility = "PUBLIC") {
-        return {
-            status: "success",
-            message: 'Post would be created with visibility: ' + visibility,
-            data: {
-                text: text,
-                id: 'demo-post-' + Date.now(),
-                status: "PUBLISHED",
-                visibility: visibility,
-                createdAt: new Date().toISOString(),
-                author: "demo-user-id"
-            }
-        };
-    }
-
-    searchOrganizations(query, limit = 10) {
-        // Simulate search results
-        const mockResults = [];
-        for (let i = 1; i <= Math.min(limit, 5); i++) {
-            mockResults.push({
-                id: 'org-' + query.toLowerCase().replace(/\s+/g, '-') + '-' + i,
-                localizedName: query + ' Organization ' + i,
-                industry: ["Technology", "Finance", "Healthcare", "Education", "Manufacturing"][i % 5],
-                employeeCountRange: { 
-                    start: Math.pow(10, i), 
-                    end: Math.pow(10, i + 1) 
-                },
-                location: ["San Francisco, CA", "New York, NY", "Seattle, WA", "Austin, TX", "Boston, MA"][i % 5]
-            });
-        }
-
-        return {
-            status: "demo",
-            message: "Demo search results. Connect LinkedIn API for real data.",
-            data: {
-                elements: mockResults,
-                paging: { 
-                    total: mockResults.length, 
-                    count: mockResults.length, 
-                    start: 0 
+            },
+            get_post_analytics: {
+                name: "get_post_analytics",
+                description: "Get impressions, clicks, reactions, comments and shares of a member or organization post",
+                annotations: {
+                    title: "Get post analytics",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        post_id: {
+                            type: "string",
+                            description: "Post URN (urn:li:share:... or urn:li:ugcPost:...)"
+                        }
+                    },
+                    required: ["post_id"],
+                    additionalProperties: false
+                },
+                outputSchema: {
+                    type: "object",
+                    properties: {
+                        post: { type: "string" },
+                        author: { type: "string" },
+                        analytics: {
+                            type: "object",
+                            properties: {
+                                impressions: { type: ["number", "null"] },
+                                uniqueImpressions: { type: ["number", "null"] },
+                                clicks: { type: ["number", "null"] },
+                                reactions: { type: ["number", "null"] },
+                                comments: { type: ["number", "null"] },
+                                shares: { type: ["number", "null"] },
+                                engagement: { type: ["number", "null"] }
+                            }
+                        }
+                    },
+                    required: ["post", "analytics"]
                 }
-            }
-        };
-    }
-
-    getOrganizations(role = null) {
-        const mockOrganizations = [
-            {
-                organization: "urn:li:organization:demo123",
-                role: "ADMINISTRATOR", 
-                state: "APPROVED",
-                organizationName: "Demo Tech Corp"
             },
-            {
-                organization: "urn:li:organization:demo456",
-                role: "MEMBER",
-                state: "APPROVED", 
-                organizationName: "Sample Innovations Inc"
-            }
-        ];
-
-        const filteredOrgs = role 
-            ? mockOrganizations.filter(org => org.role === role)
-            : mockOrganizations;
-
-        return {
-            status: "demo",
-            message: "Demo organization data. Connect LinkedIn API for real data.",
-            data: {
-                elements: filteredOrgs
-            }
-        };
-    }
-}
+            get_organization_follower_stats: {
+                name: "get_organization_follower_stats",
+                description: "Follower gains over time plus follower counts by seniority, industry, country and job function",
+                annotations: {
+                    title: "Organization follower statistics",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        organization: {
+                            type: "string",
+                            description: "Organization ID or URN (urn:li:organization:<id>); requires the ADMINISTRATOR role"
+                        },
+                        startDate: {
+                            type: "string",
+                            description: "Start of the time range (ISO 8601 date or date-time); defaults to " +
+                                "30 days (DAY) or 12 months (MONTH) before endDate. A range covers at most " +
+                                "1 year with DAY and 3 years with MONTH"
+                        },
+                        endDate: {
+                            type: "string",
+                            description: "End of the time range (ISO 8601 date or date-time); defaults to now"
+                        },
+                        granularity: {
+                            type: "string",
+                            description: "Size of each time series bucket",
+                            enum: ["DAY", "MONTH"],
+                            default: "DAY"
+                        }
+                    },
+                    required: ["organization"],
+                    additionalProperties: false
+                },
+                outputSchema: statistics
+            },
+            get_organization_page_stats: {
+                name: "get_organization_page_stats",
+                description: "Page views over time plus page views by seniority, industry, country and job function",
+                annotations: {
+                    title: "Organization page statistics",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        organization: {
+                            type: "string",
+                            description: "Organization ID or URN (urn:li:organization:<id>); requires the ADMINISTRATOR role"
+                        },
+                        startDate: {
+                            type: "string",
+                            description: "Start of the time range (ISO 8601 date or date-time); defaults to " +
+                                "30 days (DAY) or 12 months (MONTH) before endDate. A range covers at most " +
+                                "1 year with DAY and 3 years with MONTH"
+                        },
+                        endDate: {
+                            type: "string",
+                            description: "End of the time range (ISO 8601 date or date-time); defaults to now"
+                        },
+                        granularity: {
+                            type: "string",
+                            description: "Size of each time series bucket",
+                            enum: ["DAY", "MONTH"],
+                            default: "DAY"
+                        }
+                    },
+                    required: ["organization"],
+                    additionalProperties: false
+                },
+                outputSchema: statistics
+            },
+            get_organization_share_stats: {
+                name: "get_organization_share_stats",
+                description: "Impressions, clicks, reactions, comments and shares of all organization posts over time, with lifetime totals",
+                annotations: {
+                    title: "Organization share statistics",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        organization: {
+                            type: "string",
+                            description: "Organization ID or URN (urn:li:organization:<id>); requires the ADMINISTRATOR role"
+                        },
+                        startDate: {
+                            type: "string",
+                            description: "Start of the time range (ISO 8601 date or date-time); defaults to " +
+                                "30 days (DAY) or 12 months (MONTH) before endDate. A range covers at most " +
+                                "1 year with DAY and 3 years with MONTH"
+                        },
+                        endDate: {
+                            type: "string",
+                            description: "End of the time range (ISO 8601 date or date-time); defaults to now"
+                        },
+                        granularity: {
+                            type: "string",
+                            description: "Size of each time series bucket",
+                            enum: ["DAY", "MONTH"],
+                            default: "DAY"
+                        }
+                    },
+                    required: ["organization"],
+                    additionalProperties: false
+                },
+                outputSchema: statistics
+            },
+            list_organization_posts: {
+                name: "list_organization_posts",
+                description: "List the most recent posts of an organization page the user administers",
+                annotations: {
+                    title: "List organization posts",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        organization: {
+                            type: "string",
+                            description: "Organization ID or URN (urn:li:organization:<id>)"
+                        },
+                        count: {
+                            type: "integer",
+                            description: "Maximum number of posts to return",
+                            default: 10,
+                            minimum: 1,
+                            maximum: 100
+                        },
+                        cursor: {
+                            type: "string",
+                            description: "nextCursor from the previous page; omit for the first page"
+                        }
+                    },
+                    required: ["organization"],
+                    additionalProperties: false
+                },
+                outputSchema: page(post)
+            },
+            update_organization_post: {
+                name: "update_organization_post",
+                description: "Edit the text of a post published by an organization page the user administers",
+                annotations: {
+                    title: "Edit organization post",
+                    readOnlyHint: false,
+                    destructiveHint: true,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        post_id: {
+                            type: "string",
+                            description: "Post URN (urn:li:share:... or urn:li:ugcPost:...)"
+                        },
+                        text: {
+                            type: "string",
+                            description: "The new text content of the post",
+                            maxLength: 3000
+                        },
+                        mentions: {
+                            type: "array",
+                            description: "People or organizations to mention. Each name must appear in text " +
+                                "(optionally prefixed with @) and is linked to the given URN",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    name: {
+                                        type: "string",
+                                        description: "Text to turn into the mention, e.g. \"Jane Doe\"",
+                                        minLength: 1
+                                    },
+                                    urn: {
+                                        type: "string",
+                                        description: "urn:li:person:... or urn:li:organization:..."
+                                    }
+                                },
+                                required: ["name", "urn"],
+                                additionalProperties: false
+                            }
+                        }
+                    },
+                    required: ["post_id", "text"],
+                    additionalProperties: false
+                },
+                outputSchema: {
+                    type: "object",
+                    properties: {
+                        post: post
+                    }
+                }
+            },
+            list_scheduled_posts: {
+                name: "list_scheduled_posts",
+                description: "List your scheduled and draft posts, including published and failed ones with their status",
+                annotations: {
+                    title: "List scheduled posts",
+                    readOnlyHint: true,
+                    destructiveHint: false,
+                    idempotentHint: true,
+                    openWorldHint: false
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        status: {
+                            type: "string",
+                            description: "Only return posts with this status",
+                            enum: ["draft", "scheduled", "publishing", "published", "failed", "cancelled"]
+                        },
+                        count: {
+                            type: "integer",
+                            description: "Maximum number of posts per page",
+                            default: 20,
+                            minimum: 1,
+                            maximum: 100
+                        },
+                        cursor: {
+                            type: "string",
+                            description: "nextCursor from the previous page; omit for the first page"
+                        }
+                    },
+                    required: [],
+                    additionalProperties: false
+                },
+                outputSchema: page(queuedPost)
+            },
+            update_scheduled_post: {
+                name: "update_scheduled_post",
+                description: "Change the text, visibility or publish time of a draft, scheduled or failed post. " +
+                    "Set draft to false to schedule a draft (immediately when no publishAt is given)",
+                annotations: {
+                    title: "Edit scheduled post",
+                    readOnlyHint: false,
+                    destructiveHint: true,
+                    idempotentHint: true,
+                    openWorldHint: false
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "string",
+                            description: "Queued post ID from create_post or list_scheduled_posts"
+                        },
+                        text: {
+                            type: "string",
+                            description: "The new text content of the post",
+                            maxLength: 3000
+                        },
+                        visibility: {
+                            type: "string",
+                            enum: ["PUBLIC", "CONNECTIONS"]
+                        },
+                        publishAt: {
+                            type: "string",
+                            description: "New ISO 8601 publish date-time"
+                        },
+                        draft: {
+                            type: "boolean",
+                            description: "true turns the post into a draft, false schedules it"
+                        }
+                    },
+                    required: ["id"],
+                    additionalProperties: false
+                },
+                outputSchema: {
+                    type: "object",
+                    properties: {
+                        scheduledPost: queuedPost
+                    }
+                }
+            },
+            cancel_scheduled_post: {
+                name: "cancel_scheduled_post",
+                description: "Cancel a draft, scheduled or failed post so it is never published",
+                annotations: {
+                    title: "Cancel scheduled post",
+                    readOnlyHint: false,
+                    destructiveHint: true,
+                    idempotentHint: true,
+                    openWorldHint: false
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        id: {
+                            type: "string",
+                            description: "Queued post ID from create_post or list_scheduled_posts"
+                        }
+                    },
+                    required: ["id"],
+                    additionalProperties: false
+                },
+                outputSchema: {
+                    type: "object",
+                    properties: {
+                        scheduledPost: queuedPost
+                    }
+                }
+            },
+            delete_organization_post: {
+                name: "delete_organization_post",
+                description: "Delete a post published by an organization page the user administers",
+                annotations: {
+                    title: "Delete organization post",
+                    readOnlyHint: false,
+                    destructiveHint: true,
+                    idempotentHint: true,
+                    openWorldHint: true
+                },
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        post_id: {
+                            type: "string",
+                            description: "Post URN (urn:li:share:... or urn:li:ugcPost:...)"
+                        }
+                    },
+                    required: ["post_id"],
+                    additionalProperties: false
+                },
+                outputSchema: {
+                    type: "object",
+                    properties: {
+                        post: post
+                    }
+                }
+            }
+        };
+
+        return tools;
+    }
+
+    /**
+     * Register the built-in tools, each with a handler calling the matching tool method
+     */
+    registerBuiltInTools() {
+        const statistics = (args, context) => this.getOrganizationStatistics(context.toolName, args, context);
+        const handlers = {
+            get_profile: (args, context) => this.getProfile(context),
+            create_post: async (args, context) => {
+                const result = await this.createPost(args.text, args.visibility, {
+                    author: args.author,
+                    media: args.media,
+                    article: args.article,
+                    poll: args.poll,
+                    mentions: args.mentions,
+                    publishAt: args.publishAt,
+                    draft: args.draft
+                }, context);
+                if (!args.author && !args.publishAt && !args.draft) {
+                    this.notifyResourceUpdated("linkedin://posts/recent");
+                }
+                return result;
+            },
+            search_organizations: (args, context) => this.searchOrganizations(args.query, args.limit, {
+                industry: args.industry,
+                location: args.location,
+                companySize: args.companySize
+            }, args.cursor, context),
+            get_organizations: (args, context) => this.getOrganizations(args.role, args.count, args.cursor, context),
+            get_post: (args, context) => this.getPost(args.post_id, context),
+            list_my_posts: (args, context) => this.listMyPosts(args.count, args.cursor, context),
+            get_post_comments: (args, context) => this.getPostComments(args.post_id, args.count, args.cursor, context),
+            add_comment: (args, context) => this.addComment(args.post_id, args.text, args.author, context),
+            add_reaction: (args, context) => this.addReaction(args.post_id, args.reaction, args.author, context),
+            remove_reaction: (args, context) => this.removeReaction(args.post_id, args.author, context),
+            get_post_analytics: (args, context) => this.getPostAnalytics(args.post_id, context),
+            get_organization_follower_stats: statistics,
+            get_organization_page_stats: statistics,
+            get_organization_share_stats: statistics,
+            list_organization_posts: (args, context) =>
+                this.listOrganizationPosts(args.organization, args.count, args.cursor, context),
+            update_organization_post: (args, context) =>
+                this.updateOrganizationPost(args.post_id, args.text, args.mentions, context),
+            list_scheduled_posts: (args, context) => this.listScheduledPosts(args.status, args.count, args.cursor, context),
+            update_scheduled_post: (args, context) => this.updateScheduledPost(args.id, args, context),
+            cancel_scheduled_post: (args, context) => this.cancelScheduledPost(args.id, context),
+            delete_organization_post: (args, context) => this.deleteOrganizationPost(args.post_id, context)
+        };
+
+        const definitions = this.initializeTools();
+        Object.keys(definitions).forEach(name => this.registerTool(definitions[name], handlers[name]));
+    }
+
+    /**
+     * Add a tool. Once the session is initialized, the client is told that the tool list changed.
+     * @param {object} definition - { name, title, description, inputSchema, outputSchema, annotations }
+     *                              as listed by tools/list; missing annotations get MCP's defaults
+     * @param {function} handler - async (args, context) => createResult(...) with the validated
+     *                             arguments; context is { token, client (LinkedIn backend), logger,
+     *                             signal, reportProgress, clientInfo, sessionId, toolName }; long-running
+     *                             handlers should stop once signal aborts
+     * @throws {Error} for an invalid or already registered name, or a definition without an
+     *                 object inputSchema
+     */
+    registerTool(definition, handler) {
+        const name = definition && definition.name;
+        if (typeof name !== 'string' || !MCPServer.TOOL_NAME_PATTERN.test(name)) {
+            throw new Error('Invalid tool name: ' + name);
+        }
+        if (this.toolHandlers.has(name)) {
+            throw new Error('Tool ' + name + ' is already registered');
+        }
+        if (!definition.inputSchema || definition.inputSchema.type !== "object") {
+            throw new Error('Tool ' + name + ' needs an inputSchema of type object');
+        }
+        if (typeof handler !== 'function') {
+            throw new Error('Tool ' + name + ' needs a handler function');
+        }
+
+        this.tools[name] = this.prepareTool(definition);
+        this.toolHandlers.set(name, handler);
+        if (this.isToolEnabled(name)) {
+            this.notifyToolsListChanged();
+        }
+    }
+
+    /**
+     * Remove a tool
+     * @returns {boolean} whether it was registered
+     */
+    unregisterTool(name) {
+        if (!this.toolHandlers.has(name)) {
+            return false;
+        }
+
+        const wasEnabled = this.isToolEnabled(name);
+        delete this.tools[name];
+        this.toolHandlers.delete(name);
+        if (wasEnabled) {
+            this.notifyToolsListChanged();
+        }
+        return true;
+    }
+
+    /**
+     * Show or hide a registered tool; read-only mode keeps write tools hidden either way
+     */
+    setToolEnabled(name, enabled) {
+        const wasEnabled = this.isToolEnabled(name);
+        if (enabled) {
+            this.disabledTools.delete(name);
+        } else {
+            this.disabledTools.add(name);
+        }
+        if (this.isToolEnabled(name) !== wasEnabled) {
+            this.notifyToolsListChanged();
+        }
+    }
+
+    /**
+     * Whether a tool is registered and not hidden by disabledTools or read-only mode
+     */
+    isToolEnabled(name) {
+        const tool = Object.prototype.hasOwnProperty.call(this.tools, name) ? this.tools[name] : null;
+        return Boolean(tool) &&
+            !this.disabledTools.has(name) &&
+            !(this.readOnly && !tool.annotations.readOnlyHint);
+    }
+
+    /**
+     * Copy of a tool definition with default annotations, the confirmationToken argument
+     * for write tools and the cache argument for cached tools
+     */
+    prepareTool(definition) {
+        const tool = JSON.parse(JSON.stringify(definition));
+        tool.annotations = Object.assign({
+            title: tool.title || tool.name,
+            readOnlyHint: false,
+            destructiveHint: true,
+            idempotentHint: false,
+            openWorldHint: true
+        }, tool.annotations);
+        tool.inputSchema.properties = tool.inputSchema.properties || {};
+
+        if (this.confirmWrites && !tool.annotations.readOnlyHint) {
+            tool.inputSchema.properties.confirmationToken = {
+                type: "string",
+                description: "Token from this tool's confirmation preview. Call without it first, " +
+                    "show the preview to the user, then repeat the same arguments with the token once approved"
+            };
+            if (tool.outputSchema) {
+                tool.outputSchema.properties = tool.outputSchema.properties || {};
+                tool.outputSchema.properties.confirmation = {
+                    type: "object",
+                    description: "Returned instead of the result while the call awaits confirmation",
+                    properties: {
+                        confirmationToken: { type: "string" },
+                        expiresAt: { type: "string" },
+                        preview: { type: "object" }
+                    },
+                    required: ["confirmationToken", "expiresAt", "preview"]
+                };
+            }
+        }
+
+        if (MCPServer.CACHE_POLICIES[tool.name]) {
+            tool.inputSchema.properties.cache = {
+                type: "string",
+                description: "Set to \"bypass\" to skip cached results and fetch fresh data from LinkedIn",
+                enum: ["bypass"]
+            };
+        }
+
+        return tool;
+    }
+
+    /**
+     * Tell the client that tools/list would now answer differently
+     */
+    notifyToolsListChanged() {
+        if (this.protocolVersion) {
+            this.sendNotification("notifications/tools/list_changed");
+        }
+    }
+
+    /**
+     * Subscribe to messages sent outside of a request (e.g. list changes); a listener returns
+     * false when it cannot deliver them
+     * @returns {function} unsubscribe
+     */
+    onNotification(listener) {
+        this.notificationListeners.add(listener);
+        return () => this.notificationListeners.delete(listener);
+    }
+
+    /**
+     * Send a notification to the client
+     */
+    sendNotification(method, params, context = {}) {
+        this.sendMessage({
+            jsonrpc: "2.0",
+            method: method,
+            params: params
+        }, context);
+    }
+
+    /**
+     * Deliver a message to the client. Messages about a request in flight go through
+     * context.sendNotification when the transport offers it (e.g. an SSE response).
+     * Background work (context.background) has no client waiting for it, so its messages are dropped.
+     * @returns {boolean} false when no listener could deliver it, e.g. without an open event stream
+     */
+    sendMessage(message, context = {}) {
+        if (context.background) {
+            return false;
+        }
+        if (context.sendNotification) {
+            context.sendNotification(message);
+            return true;
+        }
+
+        let delivered = false;
+        this.notificationListeners.forEach(listener => {
+            if (listener(message) !== false) {
+                delivered = true;
+            }
+        });
+        return delivered;
+    }
+
+    /**
+     * Send a request to the client and wait for its response
+     * @returns {Promise<object>} the result; rejects with the client's error, after timeoutMs, once
+     *          context.signal aborts, or (with error.undelivered set) when it cannot be sent
+     */
+    sendRequest(method, params, context = {}, timeoutMs = MCPServer.CLIENT_REQUEST_TIMEOUT_MS) {
+        const id = 'server-' + this.nextRequestId++;
+        const signal = context.signal;
+
+        return new Promise((resolve, reject) => {
+            const abort = () => settle(signal.reason);
+            const timer = setTimeout(() => settle(new Error(
+                'The client did not answer ' + method + ' within ' + MCPModules.RateLimiter.toSeconds(timeoutMs) + ' seconds'
+            )), timeoutMs);
+            const settle = (error, result) => {
+                clearTimeout(timer);
+                this.pendingRequests.delete(id);
+                if (signal) {
+                    signal.removeEventListener('abort', abort);
+                }
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+            this.pendingRequests.set(id, settle);
+
+            if (signal && signal.aborted) {
+                abort();
+                return;
+            }
+            if (signal) {
+                signal.addEventListener('abort', abort, { once: true });
+            }
+
+            if (!this.sendMessage({ jsonrpc: "2.0", id: id, method: method, params: params }, context)) {
+                const error = new Error('No open stream to send ' + method + ' to the client');
+                error.undelivered = true;
+                settle(error);
+            }
+        });
+    }
+
+    /**
+     * Settle the request sent with sendRequest that a client response answers
+     */
+    handleResponse(message) {
+        const settle = this.pendingRequests.get(message.id);
+        if (!settle) {
+            this.log("debug", 'Ignoring a response to unknown request ' + message.id);
+            return;
+        }
+
+        if (message.error) {
+            settle(new MCPModules.JsonRpcError(message.error.code, message.error.message, message.error.data));
+        } else {
+            settle(null, message.result);
+        }
+    }
+
+    /**
+     * Handle a raw JSON-RPC payload (string or parsed, single message or batch) from a transport;
+     * responses to requests sent with sendRequest are accepted too
+     * @returns {Promise<{status: number, body: object|Array|null}>} body is null for notifications
+     */
+    handleMessage(payload, context = {}) {
+        return MCPModules.dispatchJsonRpc(
+            payload,
+            message => this.handleRequest(message, context),
+            message => this.handleResponse(message),
+            this.logger
+        );
+    }
+
+    /**
+     * Route a validated JSON-RPC request to the matching MCP method handler
+     * @param {object} context - per-request data from the transport, e.g. { token } from an Authorization header
+     */
+    async handleRequest(request, context = {}) {
+        const method = request.method;
+        const params = request.params || {};
+        const requestId = request.id;
+
+        // Notifications carry no id and never get a response
+        if (requestId === undefined) {
+            this.handleNotification(method, params);
+            return null;
+        }
+
+        // Only initialize and ping are allowed before the handshake
+        if (!this.protocolVersion && method !== 'initialize' && method !== 'ping') {
+            return {
+                jsonrpc: "2.0",
+                error: {
+                    code: -32600,
+                    message: 'Invalid Request: server not initialized, send initialize before ' + method
+                },
+                id: requestId
+            };
+        }
+
+        let response;
+
+        switch (method) {
+            case 'initialize':
+                response = this.handleInitialize(params);
+                break;
+            case 'ping':
+                response = {
+                    jsonrpc: "2.0",
+                    result: {}
+                };
+                break;
+            case 'tools/list':
+                response = this.handleToolsList(params);
+                break;
+            case 'tools/call':
+                response = await this.handleToolsCall(params, context, requestId);
+                break;
+            case 'resources/list':
+                response = await this.handleResourcesList(context);
+                break;
+            case 'resources/templates/list':
+                response = {
+                    jsonrpc: "2.0",
+                    result: {
+                        resourceTemplates: this.resources.templates
+                    }
+                };
+                break;
+            case 'resources/read':
+                response = await this.handleResourcesRead(params, context);
+                break;
+            case 'resources/subscribe':
+            case 'resources/unsubscribe':
+                response = this.handleResourcesSubscription(method, params);
+                break;
+            case 'prompts/list':
+                response = this.handlePromptsList();
+                break;
+            case 'prompts/get':
+                response = await this.handlePromptsGet(params, context);
+                break;
+            case 'logging/setLevel':
+                response = this.handleSetLevel(params);
+                break;
+            default:
+                response = {
+                    jsonrpc: "2.0",
+                    error: {
+                        code: -32601,
+                        message: 'Method not found: ' + method,
+                        data: {
+                            supportedMethods: [
+                                'initialize', 'ping', 'tools/list', 'tools/call',
+                                'resources/list', 'resources/templates/list', 'resources/read',
+                                'resources/subscribe', 'resources/unsubscribe',
+                                'prompts/list', 'prompts/get', 'logging/setLevel'
+                            ]
+                        }
+                    }
+                };
+        }
+
+        // A request the client cancelled gets no response
+        if (response === null) {
+            return null;
+        }
+        response.id = requestId;
+
+        return response;
+    }
+
+    /**
+     * Handle a JSON-RPC notification; unknown notifications are ignored
+     */
+    handleNotification(method, params) {
+        switch (method) {
+            case 'notifications/initialized':
+                this.initialized = true;
+                break;
+            case 'notifications/cancelled':
+                this.cancelRequest(params.requestId, params.reason);
+                break;
+        }
+    }
+
+    /**
+     * Abort a tool call in flight. Requests that already finished (or never existed) are
+     * ignored, since a cancellation can cross the response on the wire.
+     */
+    cancelRequest(requestId, reason) {
+        const controller = this.inFlight.get(requestId);
+        if (!controller) {
+            return;
+        }
+
+        this.logger.debug('Request ' + requestId + ' cancelled by the client' + (reason ? ': ' + reason : ''));
+        controller.abort(MCPServer.createCancellation(reason));
+    }
+
+    /**
+     * Initialize static MCP resources and resource templates
+     */
+    initializeResources() {
+        return {
+            resources: [
+                {
+                    uri: "linkedin://profile/me",
+                    name: "profile",
+                    title: "LinkedIn profile",
+                    description: "Profile of the connected LinkedIn member",
+                    mimeType: "application/json"
+                },
+                {
+                    uri: "linkedin://posts/recent",
+                    name: "recent_posts",
+                    title: "Recent posts",
+                    description: "The member's most recent LinkedIn posts",
+                    mimeType: "application/json"
+                },
+                {
+                    uri: "linkedin://server/cache",
+                    name: "cache_metrics",
+                    title: "Tool cache metrics",
+                    description: "Hits, stale hits, misses and bypasses of the read-only tool cache since startup",
+                    mimeType: "application/json"
+                },
+                {
+                    uri: "linkedin://server/metrics",
+                    name: "tool_metrics",
+                    title: "Tool call metrics",
+                    description: "Calls, errors and latency (average, median, 95th percentile) per tool since startup",
+                    mimeType: "application/json"
+                }
+            ],
+            templates: [
+                {
+                    uriTemplate: "linkedin://organization/{id}",
+                    name: "organization",
+                    title: "LinkedIn organization",
+                    description: "Details of a LinkedIn organization by its ID",
+                    mimeType: "application/json"
+                }
+            ]
+        };
+    }
+
+    /**
+     * Initialize available MCP prompts, keyed by name
+     */
+    initializePrompts() {
+        const prompts = {};
+        MCPModules.LINKEDIN_PROMPTS.forEach(prompt => {
+            prompts[prompt.name] = prompt;
+        });
+        return prompts;
+    }
+
+    /**
+     * Handle MCP tools/list request: the enabled tools, in registration order
+     */
+    handleToolsList(params = {}) {
+        const tools = Object.values(this.tools).filter(tool => this.isToolEnabled(tool.name));
+        let page;
+        try {
+            page = this.readCursor("tools/list", params && params.cursor, MCPServer.TOOLS_PAGE_SIZE);
+        } catch (error) {
+            return MCPModules.createErrorResponse(undefined, MCPModules.JSON_RPC_ERRORS.INVALID_PARAMS, error.message);
+        }
+
+        const result = {
+            tools: tools.slice(page.start, page.start + page.count)
+        };
+        if (page.start + page.count < tools.length) {
+            result.nextCursor = this.encodeCursor("tools/list", page.start + page.count, page.count);
+        }
+
+        return {
+            jsonrpc: "2.0",
+            result: result
+        };
+    }
+
+    /**
+     * Handle MCP tools/call request
+     * @returns {Promise<object|null>} null when the client cancelled the call
+     */
+    async handleToolsCall(params, context = {}, requestId) {
+        const toolName = params.name;
+        const arguments_ = params.arguments || {};
+        
+        // Disabled tools are treated as unknown, with a hint for the one who configured them
+        if (!this.isToolEnabled(toolName)) {
+            const registered = Object.prototype.hasOwnProperty.call(this.tools, toolName);
+            return {
+                jsonrpc: "2.0", 
+                error: {
+                    code: -32602,
+                    message: registered
+                        ? 'Tool ' + toolName + ' is disabled on this server' +
+                            (this.disabledTools.has(toolName) ? '' : ' (read-only mode)')
+                        : 'Unknown tool: ' + toolName,
+                    data: {
+                        availableTools: Object.keys(this.tools).filter(name => this.isToolEnabled(name))
+                    }
+                }
+            };
+        }
+
+        // The inputSchema is the single source of truth for arguments and their defaults
+        const validation = MCPModules.validateSchema(this.tools[toolName].inputSchema, arguments_);
+        if (!validation.valid) {
+            return {
+                jsonrpc: "2.0",
+                error: {
+                    code: -32602,
+                    message: 'Invalid arguments for ' + toolName + ': ' +
+                        validation.errors.map(error => error.path + ' ' + error.message).join('; '),
+                    data: {
+                        tool: toolName,
+                        errors: validation.errors
+                    }
+                }
+            };
+        }
+        const args = validation.value;
+
+        // Write tools only run once the user has approved the exact same call
+        if (this.confirmWrites && !this.tools[toolName].annotations.readOnlyHint) {
+            const confirmation = await this.confirmToolCall(toolName, args, context);
+            if (confirmation) {
+                return confirmation;
+            }
+        }
+
+        const call = this.startToolCall(toolName, requestId, context, params._meta || {});
+        const startedAt = Date.now();
+        let response;
+        let failure = null;
+        try {
+            const result = await this.callTool(toolName, args, call.context);
+
+            response = {
+                jsonrpc: "2.0",
+                result: this.createToolResult(
+                    result.data,
+                    (result.demo ? 'Demo mode, no LinkedIn account connected. ' : '') + result.summary,
+                    result.demo
+                )
+            };
+        } catch (error) {
+            failure = error;
+            response = this.createToolErrorResponse(toolName, error);
+        } finally {
+            call.finish();
+        }
+
+        await this.recordToolCall(toolName, args, context, Date.now() - startedAt, failure);
+        return failure && failure.cancelled ? null : response;
+    }
+
+    /**
+     * Set up what a tool call can be stopped by: notifications/cancelled for its request id,
+     * the transport's context.signal (aborted when the client disconnects) and the tool's timeout
+     * @param {object} meta - the request's _meta; a progressToken asks for notifications/progress
+     * @returns {{context: object, finish: function}} the context to run the call with, and
+     *          finish() to call once it is over
+     */
+    startToolCall(toolName, requestId, context, meta) {
+        const controller = new AbortController();
+        const timeoutMs = this.toolTimeouts[toolName] || MCPServer.DEFAULT_TOOL_TIMEOUT_MS;
+        const timer = setTimeout(() => controller.abort(this.createTimeoutError(toolName, timeoutMs)), timeoutMs);
+        const disconnect = () => controller.abort(MCPServer.createCancellation('client disconnected'));
+
+        if (context.signal) {
+            if (context.signal.aborted) {
+                disconnect();
+            } else {
+                context.signal.addEventListener('abort', disconnect, { once: true });
+            }
+        }
+        if (requestId !== undefined) {
+            this.inFlight.set(requestId, controller);
+        }
+
+        return {
+            context: Object.assign({}, context, {
+                signal: controller.signal,
+                progressToken: meta.progressToken
+            }),
+            finish: () => {
+                clearTimeout(timer);
+                if (context.signal) {
+                    context.signal.removeEventListener('abort', disconnect);
+                }
+                if (this.inFlight.get(requestId) === controller) {
+                    this.inFlight.delete(requestId);
+                }
+            }
+        };
+    }
+
+    /**
+     * What a tool call that ran out of time fails with. A write may still have reached
+     * LinkedIn, so the model is told to check before trying again.
+     */
+    createTimeoutError(toolName, timeoutMs) {
+        const tool = this.tools[toolName];
+        const error = new Error(
+            'timed out after ' + MCPModules.RateLimiter.toSeconds(timeoutMs) + ' seconds' +
+                (tool && !tool.annotations.readOnlyHint
+                    ? '; it may still have taken effect on LinkedIn, so check before calling it again'
+                    : '')
+        );
+        error.name = 'TimeoutError';
+        return error;
+    }
+
+    /**
+     * Send notifications/progress for a call whose request carried _meta.progressToken;
+     * progress must increase with every notification, total is optional
+     */
+    sendProgress(context, progress, total, message) {
+        if (context.progressToken === undefined || context.progressToken === null ||
+            (context.signal && context.signal.aborted)) {
+            return;
+        }
+
+        const params = {
+            progressToken: context.progressToken,
+            progress: progress
+        };
+        if (total !== undefined) {
+            params.total = total;
+        }
+        if (message) {
+            params.message = message;
+        }
+        this.sendNotification("notifications/progress", params, context);
+    }
+
+    /**
+     * Response for a tool call that threw: protocol errors stay JSON-RPC errors, anything else
+     * becomes an isError result
+     */
+    createToolErrorResponse(toolName, error) {
+        if (error instanceof MCPModules.JsonRpcError) {
+            return error.toResponse();
+        }
+        if (error instanceof MCPModules.LinkedInApiError && error.status === 429) {
+            return MCPModules.createErrorResponse(
+                undefined,
+                MCPModules.JSON_RPC_ERRORS.RATE_LIMITED,
+                'LinkedIn rate limit reached for ' + toolName +
+                    (error.retryAfter ? ': retry in ' + error.retryAfter + ' seconds' : ': retry later'),
+                {
+                    scope: "linkedin",
+                    tool: toolName,
+                    retryAfter: error.retryAfter
+                }
+            );
+        }
+        // Failures of the call itself (e.g. a LinkedIn API error) go back to the model as a result
+        return {
+            jsonrpc: "2.0",
+            result: {
+                content: [{
+                    type: "text",
+                    text: toolName + ' failed: ' + error.message
+                }],
+                isError: true
+            }
+        };
+    }
+
+    /**
+     * Count a tool call in the metrics, log it and add write tools to the audit log
+     * @param {Error|null} error - what the call threw, if anything
+     */
+    async recordToolCall(toolName, args, context, durationMs, error) {
+        // A call the client cancelled, or the user declined, did not fail
+        this.toolMetrics.record(toolName, durationMs, Boolean(error) && !error.cancelled && !error.declined);
+
+        const fields = {
+            tool: toolName,
+            durationMs: durationMs,
+            sessionId: context.sessionId
+        };
+        if (error && error.cancelled) {
+            this.log("info", toolName + ' ' + error.message, fields, context);
+        } else if (error && error.declined) {
+            this.log("info", toolName + ' declined: ' + error.message, fields, context);
+        } else if (error) {
+            this.log("warning", toolName + ' failed: ' + error.message, Object.assign({ error: error.message }, fields), context);
+        } else {
+            this.log("info", toolName + ' completed in ' + durationMs + ' ms', fields, context);
+        }
+
+        if (this.auditLog && !this.tools[toolName].annotations.readOnlyHint) {
+            await this.auditLog.record({
+                tool: toolName,
+                arguments: this.summarizeArguments(args),
+                outcome: error ? (error.cancelled ? "cancelled" : error.declined ? "declined" : "error") : "success",
+                error: error ? error.message : null,
+                durationMs: durationMs,
+                account: await this.getAccountKey(context),
+                client: {
+                    name: this.clientInfo && this.clientInfo.name || null,
+                    version: this.clientInfo && this.clientInfo.version || null,
+                    address: context.clientAddress || null,
+                    sessionId: context.sessionId || null
+                }
+            });
+        }
+    }
+
+    /**
+     * Log an entry and, once the client has picked a level with logging/setLevel, send it to
+     * the client as notifications/message when it is at or above that level
+     */
+    log(level, message, fields = {}, context = {}) {
+        this.logger.log(level, message, fields);
+
+        if (this.clientLogLevel && this.logger.isEnabled(level, this.clientLogLevel)) {
+            this.sendNotification("notifications/message", {
+                level: level,
+                logger: this.serverInfo.name,
+                data: Object.assign({ message: message }, MCPModules.Logger.redact(fields))
+            }, context);
+        }
+    }
+
+    /**
+     * Handle MCP logging/setLevel request
+     */
+    handleSetLevel(params) {
+        if (!MCPModules.LOG_LEVELS.includes(params.level)) {
+            return MCPModules.createErrorResponse(
+                undefined,
+                MCPModules.JSON_RPC_ERRORS.INVALID_PARAMS,
+                'Invalid params: level must be one of ' + MCPModules.LOG_LEVELS.join(', ')
+            );
+        }
+
+        this.clientLogLevel = params.level;
+        this.logger.debug('Client log level set to ' + params.level);
+        return {
+            jsonrpc: "2.0",
+            result: {}
+        };
+    }
+
+    describeClient() {
+        return this.clientInfo && this.clientInfo.name
+            ? this.clientInfo.name + (this.clientInfo.version ? ' ' + this.clientInfo.version : '')
+            : 'an unnamed client';
+    }
+
+    /**
+     * tools/call result: structuredContent matching the tool's outputSchema, a readable summary
+     * and, for clients without structured output support, the same data as JSON text
+     */
+    createToolResult(data, summary, demo = false) {
+        const result = {
+            content: [
+                { type: "text", text: summary },
+                { type: "text", text: JSON.stringify(data, null, 2) }
+            ],
+            structuredContent: data
+        };
+        if (demo) {
+            result._meta = { demo: true };
+        }
+        return result;
+    }
+
+    /**
+     * Run a validated, confirmed tool call: spend its quota, then answer read-only tools from
+     * the result cache where they have a policy, and drop cached results a write tool changed
+     */
+    async callTool(toolName, args, context = {}) {
+        const policy = MCPServer.CACHE_POLICIES[toolName];
+        const run = async () => {
+            await this.checkToolQuota(toolName, context);
+            return this.executeTool(toolName, args, context);
+        };
+        const account = await this.getAccountKey(context);
+
+        if (policy) {
+            const toolArgs = Object.assign({}, args);
+            delete toolArgs.cache;
+
+            return this.toolCache.fetch(toolName + ':' + account + ':' + this.fingerprintArguments(toolArgs), run, {
+                tool: toolName,
+                account: account,
+                ttlMs: policy.ttlMs,
+                staleMs: policy.staleMs,
+                tags: policy.tags,
+                bypass: args.cache === "bypass",
+                refresh: () => this.refreshCachedTool(toolName, args, context)
+            });
+        }
+
+        const result = await run();
+        if (MCPServer.CACHE_INVALIDATIONS[toolName]) {
+            await this.toolCache.invalidate(MCPServer.CACHE_INVALIDATIONS[toolName], account);
+        }
+        return result;
+    }
+
+    /**
+     * Background refresh of a stale cached result. It outlives the call that served the stale
+     * value, so it gets its own timeout and signal instead of that call's, and the caller
+     * already got an answer, so it spends none of their quota. It keeps only the caller's
+     * token and session, and as background work it sends the client no notifications.
+     */
+    async refreshCachedTool(toolName, args, context) {
+        const call = this.startToolCall(toolName, undefined, {
+            token: context.token,
+            sessionId: context.sessionId,
+            background: true
+        }, {});
+        try {
+            return await this.executeTool(toolName, args, call.context);
+        } finally {
+            call.finish();
+        }
+    }
+
+    /**
+     * Run a tool's handler with the tool context. Once context.signal aborts, the call settles
+     * with the abort reason right away, even if the handler does not watch the signal.
+     */
+    async executeTool(toolName, args, context = {}) {
+        const toolContext = this.createToolContext(toolName, context);
+        const signal = toolContext.signal;
+        signal.throwIfAborted();
+
+        return new Promise((resolve, reject) => {
+            const abort = () => reject(signal.reason);
+            signal.addEventListener('abort', abort, { once: true });
+            Promise.resolve()
+                .then(() => this.toolHandlers.get(toolName)(args, toolContext))
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', abort));
+        });
+    }
+
+    /**
+     * What a handler gets: the request context plus the LinkedIn backend to call (bound to
+     * this call's signal and progress), a logger whose entries also reach the client as
+     * notifications/message, an AbortSignal and reportProgress(progress, total, message)
+     */
+    createToolContext(toolName, context) {
+        const toolContext = Object.assign({}, context, {
+            toolName: toolName,
+            token: context.token || this.linkedinToken,
+            logger: this.createToolLogger(toolName, context),
+            signal: context.signal || new AbortController().signal,
+            reportProgress: (progress, total, message) => this.sendProgress(context, progress, total, message),
+            clientInfo: this.clientInfo
+        });
+
+        const backend = this.getBackend(context);
+        toolContext.client = backend.withCall
+            ? backend.withCall({ signal: toolContext.signal, onProgress: toolContext.reportProgress })
+            : backend;
+        return toolContext;
+    }
+
+    createToolLogger(toolName, context) {
+        const logger = {};
+        MCPModules.LOG_LEVELS.forEach(level => {
+            logger[level] = (message, fields = {}) => this.log(
+                level,
+                message,
+                Object.assign({ tool: toolName }, fields instanceof Error ? { error: fields.message } : fields),
+                context
+            );
+        });
+        logger.warn = logger.warning;
+        return logger;
+    }
+
+    /**
+     * Identity of the LinkedIn account behind a request, for cache keys: a SHA-256 digest of
+     * the token, so tokens themselves never end up in the cache
+     */
+    async getAccountKey(context = {}) {
+        const token = context.token || this.linkedinToken;
+        if (this.getBackend(context).isDemo || !token) {
+            return "demo";
+        }
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+        return Array.from(new Uint8Array(digest).slice(0, 16))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Spend one call of the tool's quota for the LinkedIn account behind this request. Quotas are
+     * kept per member URN, so a refreshed or second token of the same member shares them.
+     * @throws {JsonRpcError} RATE_LIMITED with a retryAfter hint (seconds) once it is used up
+     */
+    async checkToolQuota(toolName, context = {}) {
+        const quota = this.toolQuotas[toolName];
+        if (!quota) {
+            return;
+        }
+
+        const outcome = quota.take(await this.getBackend(context).getMemberUrn());
+        if (!outcome.allowed) {
+            const retryAfter = MCPModules.RateLimiter.toSeconds(outcome.retryAfterMs);
+            throw new MCPModules.JsonRpcError(
+                MCPModules.JSON_RPC_ERRORS.RATE_LIMITED,
+                'Quota exceeded for ' + toolName + ' (' + quota.limit + ' calls per ' +
+                    Math.round(quota.intervalMs / 60000) + ' minutes): retry in ' + retryAfter + ' seconds',
+                {
+                    scope: "tool",
+                    tool: toolName,
+                    limit: quota.limit,
+                    intervalMs: quota.intervalMs,
+                    retryAfter: retryAfter
+                }
+            );
+        }
+    }
+
+    /**
+     * Ask the user to approve a write tool call. Clients that support elicitation show the
+     * user a form (elicitation/create), so approval never passes through the model. Others get
+     * a preview with a confirmationToken (see checkConfirmation), which only asks the model to
+     * check with the user.
+     * @returns {Promise<object|null>} the response to send instead of running the tool, or null to run it
+     */
+    async confirmToolCall(toolName, args, context) {
+        if (!this.clientCapabilities.elicitation || args.confirmationToken !== undefined) {
+            return this.checkConfirmation(toolName, args, context);
+        }
+
+        // Refused calls do not run, but are audited like the ones that do
+        const askedAt = Date.now();
+        const refuse = async message => {
+            const refusal = new Error(message);
+            refusal.declined = true;
+            await this.recordToolCall(toolName, args, context, Date.now() - askedAt, refusal);
+            return this.createToolErrorResponse(toolName, refusal);
+        };
+
+        const tool = this.tools[toolName];
+        const toolArgs = this.summarizeArguments(args);
+        let answer;
+        try {
+            answer = await this.sendRequest("elicitation/create", {
+                message: tool.annotations.title + ' (' + toolName + ') with these arguments?\n' +
+                    JSON.stringify(toolArgs, null, 2),
+                requestedSchema: {
+                    type: "object",
+                    properties: {
+                        approve: {
+                            type: "boolean",
+                            title: "Approve",
+                            description: "Let the assistant run " + toolName + " on your LinkedIn account"
+                        }
+                    },
+                    required: ["approve"]
+                }
+            }, context, MCPServer.CONFIRMATION_TTL_MS);
+        } catch (error) {
+            if (error.undelivered) {
+                return this.checkConfirmation(toolName, args, context);
+            }
+            return refuse('not confirmed: ' + error.message);
+        }
+
+        if (answer && answer.action === "accept" && answer.content && answer.content.approve === true) {
+            return null;
+        }
+        return refuse(
+            (answer && answer.action === "cancel" ? 'the user dismissed the confirmation' : 'the user did not approve it') +
+                '; nothing was done'
+        );
+    }
+
+    /**
+     * Two-phase confirmation for write tools. Without a token, answers with a preview and a
+     * token bound to these exact arguments and the caller's account; with a valid token,
+     * consumes it and returns null so the call proceeds.
+     */
+    async checkConfirmation(toolName, args, context = {}) {
+        const toolArgs = Object.assign({}, args);
+        const token = toolArgs.confirmationToken;
+        delete toolArgs.confirmationToken;
+
+        const account = await this.getAccountKey(context);
+        const fingerprint = toolName + ':' + account + ':' + this.fingerprintArguments(toolArgs);
+        const now = Date.now();
+        this.pendingConfirmations.forEach((pending, key) => {
+            if (pending.expiresAt <= now) {
+                this.pendingConfirmations.delete(key);
+            }
+        });
+
+        if (token !== undefined) {
+            const pending = this.pendingConfirmations.get(token);
+            if (!pending || pending.fingerprint !== fingerprint) {
+                return {
+                    jsonrpc: "2.0",
+                    error: {
+                        code: -32602,
+                        message: 'Invalid or expired confirmationToken for ' + toolName +
+                            ': call it without a token for a new preview and confirm with unchanged arguments',
+                        data: {
+                            tool: toolName
+                        }
+                    }
+                };
+            }
+            this.pendingConfirmations.delete(token);
+            return null;
+        }
+
+        const confirmationToken = crypto.randomUUID();
+        const expiresAt = now + MCPServer.CONFIRMATION_TTL_MS;
+        this.pendingConfirmations.set(confirmationToken, { fingerprint: fingerprint, expiresAt: expiresAt });
+
+        const confirmation = {
+            confirmationToken: confirmationToken,
+            expiresAt: new Date(expiresAt).toISOString(),
+            preview: {
+                tool: toolName,
+                action: this.tools[toolName].annotations.title,
+                destructive: this.tools[toolName].annotations.destructiveHint,
+                arguments: this.summarizeArguments(toolArgs)
+            }
+        };
+
+        return {
+            jsonrpc: "2.0",
+            result: this.createToolResult(
+                { confirmation: confirmation },
+                'Confirmation required: nothing has been done yet. Show this preview to the user and, if they approve, call ' +
+                    toolName + ' again with the same arguments and confirmationToken.'
+            )
+        };
+    }
+
+    /**
+     * JSON with sorted object keys, so equal arguments always produce the same string
+     */
+    fingerprintArguments(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(item => this.fingerprintArguments(item)).join(',') + ']';
+        }
+        if (value !== null && typeof value === 'object') {
+            return '{' + Object.keys(value).sort()
+                .map(key => JSON.stringify(key) + ':' + this.fingerprintArguments(value[key]))
+                .join(',') + '}';
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Arguments as shown in a preview, with base64 file contents replaced by their size
+     */
+    summarizeArguments(value, key) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.summarizeArguments(item));
+        }
+        if (value !== null && typeof value === 'object') {
+            const summary = {};
+            Object.keys(value).forEach(name => {
+                summary[name] = this.summarizeArguments(value[name], name);
+            });
+            return summary;
+        }
+        if ((key === 'data' || key === 'blob') && typeof value === 'string') {
+            return '<' + Math.floor(value.length * 3 / 4) + ' bytes>';
+        }
+        return value;
+    }
+
+    /**
+     * Handle MCP initialize request
+     * Answers with the client's protocol version when we support it, otherwise with our latest one
+     */
+    handleInitialize(params) {
+        if (typeof params.protocolVersion !== 'string') {
+            return {
+                jsonrpc: "2.0",
+                error: {
+                    code: -32602,
+                    message: 'Invalid params: protocolVersion must be a string',
+                    data: {
+                        supported: MCPServer.SUPPORTED_PROTOCOL_VERSIONS
+                    }
+                }
+            };
+        }
+
+        this.protocolVersion = MCPServer.SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+            ? params.protocolVersion
+            : MCPServer.SUPPORTED_PROTOCOL_VERSIONS[0];
+        this.clientInfo = params.clientInfo || null;
+        this.clientCapabilities = params.capabilities || {};
+        this.initialized = false;
+        this.logger.info('Session started by ' + this.describeClient() + ' (protocol ' + this.protocolVersion + ')');
+
+        return {
+            jsonrpc: "2.0",
+            result: {
+                protocolVersion: this.protocolVersion,
+                serverInfo: this.serverInfo,
+                instructions: MCPServer.INSTRUCTIONS,
+                capabilities: {
+                    tools: {
+                        listChanged: true
+                    },
+                    resources: {
+                        subscribe: true,
+                        listChanged: false
+                    },
+                    prompts: {
+                        listChanged: false
+                    },
+                    logging: {}
+                }
+            }
+        };
+    }
+
+    /**
+     * Handle MCP resources/list request: the static resources plus one per organization the member has a role on
+     */
+    async handleResourcesList(context = {}) {
+        const organizations = await this.getBackend(context).getOrganizationAcls();
+
+        return {
+            jsonrpc: "2.0",
+            result: {
+                resources: this.resources.resources.concat(organizations.elements.map(acl => ({
+                    uri: "linkedin://organization/" + acl.organization.split(':').pop(),
+                    name: "organization",
+                    title: acl.organizationName || acl.organization,
+                    description: "Organization where the member is " + acl.role,
+                    mimeType: "application/json"
+                })))
+            }
+        };
+    }
+
+    /**
+     * Handle MCP resources/read request
+     */
+    async handleResourcesRead(params, context = {}) {
+        const uri = params.uri;
+        if (typeof uri !== 'string') {
+            return {
+                jsonrpc: "2.0",
+                error: {
+                    code: -32602,
+                    message: 'Invalid params: uri must be a string'
+                }
+            };
+        }
+
+        const backend = this.getBackend(context);
+        const organizationMatch = /^linkedin:\/\/organization\/([^/]+)$/.exec(uri);
+        let data = null;
+
+        if (uri === "linkedin://profile/me") {
+            data = await backend.getProfile();
+        } else if (uri === "linkedin://posts/recent") {
+            data = await backend.getRecentPosts(10);
+        } else if (uri === "linkedin://server/cache") {
+            data = this.toolCache.getMetrics();
+        } else if (uri === "linkedin://server/metrics") {
+            data = this.toolMetrics.getMetrics();
+        } else if (organizationMatch) {
+            let id;
+            try {
+                id = decodeURIComponent(organizationMatch[1]);
+            } catch (error) {
+                // A malformed escape such as %E0%A4%A cannot name an organization
+                return this.createResourceNotFound(uri);
+            }
+            data = await backend.getOrganization(id);
+        }
+
+        if (data === null) {
+            return this.createResourceNotFound(uri);
+        }
+
+        return {
+            jsonrpc: "2.0",
+            result: {
+                contents: [{
+                    uri: uri,
+                    mimeType: "application/json",
+                    text: JSON.stringify(data, null, 2)
+                }]
+            }
+        };
+    }
+
+    /**
+     * Handle MCP resources/subscribe and resources/unsubscribe requests
+     */
+    handleResourcesSubscription(method, params) {
+        const uri = params.uri;
+        if (typeof uri !== 'string') {
+            return {
+                jsonrpc: "2.0",
+                error: {
+                    code: -32602,
+                    message: 'Invalid params: uri must be a string'
+                }
+            };
+        }
+
+        if (method === 'resources/subscribe') {
+            const known = this.resources.resources.some(resource => resource.uri === uri) ||
+                /^linkedin:\/\/organization\/[^/]+$/.test(uri);
+            if (!known) {
+                return this.createResourceNotFound(uri);
+            }
+            this.resourceSubscriptions.add(uri);
+        } else {
+            this.resourceSubscriptions.delete(uri);
+        }
+
+        return {
+            jsonrpc: "2.0",
+            result: {}
+        };
+    }
+
+    createResourceNotFound(uri) {
+        return {
+            jsonrpc: "2.0",
+            error: {
+                code: -32002,
+                message: 'Resource not found: ' + uri,
+                data: {
+                    uri: uri
+                }
+            }
+        };
+    }
+
+    /**
+     * Handle MCP prompts/list request
+     */
+    handlePromptsList() {
+        return {
+            jsonrpc: "2.0",
+            result: {
+                prompts: Object.values(this.prompts).map(prompt => ({
+                    name: prompt.name,
+                    title: prompt.title,
+                    description: prompt.description,
+                    arguments: prompt.arguments
+                }))
+            }
+        };
+    }
+
+    /**
+     * Handle MCP prompts/get request: fetch the LinkedIn data the prompt uses and render its messages
+     */
+    async handlePromptsGet(params, context = {}) {
+        const promptName = params.name;
+        const args = params.arguments || {};
+
+        if (!Object.prototype.hasOwnProperty.call(this.prompts, promptName)) {
+            return {
+                jsonrpc: "2.0",
+                error: {
+                    code: -32602,
+                    message: 'Unknown prompt: ' + promptName,
+                    data: {
+                        availablePrompts: Object.keys(this.prompts)
+                    }
+                }
+            };
+        }
+
+        const prompt = this.prompts[promptName];
+        const missing = prompt.arguments
+            .filter(argument => argument.required && (typeof args[argument.name] !== 'string' || !args[argument.name].trim()))
+            .map(argument => argument.name);
+        if (missing.length > 0) {
+            return {
+                jsonrpc: "2.0",
+                error: {
+                    code: -32602,
+                    message: 'Missing required prompt arguments: ' + missing.join(', '),
+                    data: {
+                        prompt: promptName,
+                        missing: missing
+                    }
+                }
+            };
+        }
+
+        const backend = this.getBackend(context);
+        const data = {};
+
+        if (prompt.uses.includes("profile")) {
+            data.profile = await backend.getProfile();
+        }
+        if (prompt.uses.includes("organization")) {
+            data.organization = await this.resolveOrganization(backend, args.organization);
+            if (!data.organization) {
+                return {
+                    jsonrpc: "2.0",
+                    error: {
+                        code: -32602,
+                        message: args.organization
+                            ? 'Organization not found: ' + args.organization
+                            : 'No organization given and the member administers no organization page',
+                        data: {
+                            prompt: promptName
+                        }
+                    }
+                };
+            }
+        }
+
+        return {
+            jsonrpc: "2.0",
+            result: {
+                description: prompt.description,
+                messages: prompt.render(args, data)
+            }
+        };
+    }
+
+    /**
+     * Find an organization by numeric ID, URN or name (looked up as a vanity name); without a reference,
+     * use the first page the member administers
+     */
+    async resolveOrganization(backend, reference) {
+        if (!reference) {
+            const acls = await backend.getOrganizationAcls("ADMINISTRATOR");
+            return acls.elements.length > 0
+                ? backend.getOrganization(acls.elements[0].organization.split(':').pop())
+                : null;
+        }
+
+        // LinkedIn answers 400, not 404, for an ID that is not numeric, so names never go to the ID endpoint
+        const trimmed = reference.trim();
+        if (/^urn:li:organization:/.test(trimmed) || /^\d+$/.test(trimmed)) {
+            return backend.getOrganization(trimmed.replace(/^urn:li:organization:/, ''));
+        }
+
+        const matches = await backend.searchOrganizations(trimmed, 1);
+        return matches.elements[0] || null;
+    }
+
+    /**
+     * Tell a subscribed client that a resource changed
+     */
+    notifyResourceUpdated(uri) {
+        if (this.resourceSubscriptions.has(uri)) {
+            this.sendNotification("notifications/resources/updated", { uri: uri });
+        }
+    }
+
+    /**
+     * Pick the backend for LinkedIn calls: an explicit override, the REST client
+     * when a token is available, or the demo backend otherwise.
+     * A per-request token (context.token) takes precedence over the constructor token.
+     */
+    getBackend(context = {}) {
+        // Within a tool call, the backend bound to that call
+        if (context.client) {
+            return context.client;
+        }
+        if (this.options.backend) {
+            return this.options.backend;
+        }
+
+        const token = context.token || this.linkedinToken;
+        if (token && !this.options.demo) {
+            if (!this.client || this.client.token !== token) {
+                this.client = new MCPModules.LinkedInClient(token, this.options.linkedin);
+            }
+            return this.client;
+        }
+
+        return this.demoBackend;
+    }
+
+    /**
+     * Outcome of a tool method: the structured data, a one-line summary for the text
+     * content, and whether the data came from the demo backend
+     * @param {object|null} backend - null for tools that do not call LinkedIn (the post queue)
+     */
+    createResult(backend, data, summary) {
+        return {
+            data: data,
+            summary: summary,
+            demo: Boolean(backend && backend.isDemo)
+        };
+    }
+
+    /**
+     * Summary of a page of list results, e.g. "10 of 37 organizations; pass nextCursor as cursor for more"
+     */
+    summarizePage(data, noun) {
+        const total = data.paging && typeof data.paging.total === 'number' ? ' of ' + data.paging.total : '';
+        return data.elements.length + total + ' ' + noun +
+            (data.nextCursor ? '; pass nextCursor as cursor for more' : '');
+    }
+
+    async getProfile(context = {}) {
+        const backend = this.getBackend(context);
+        const profile = await backend.getProfile();
+        return this.createResult(
+            backend,
+            profile,
+            'LinkedIn profile of ' + MCPModules.describeMember(profile)
+        );
+    }
+
+    /**
+     * @param {object} content - { author, media, article, poll, mentions, publishAt, draft } as accepted
+     *                          by the create_post tool; publishAt and draft queue the post instead
+     */
+    async createPost(text, visibility = "PUBLIC", content = {}, context = {}) {
+        const backend = this.getBackend(context);
+        const post = await this.preparePost(backend, text, visibility, content);
+
+        if (content.publishAt || content.draft) {
+            // PostScheduler never publishes to the demo backend, so such a post would wait forever
+            if (backend.isDemo) {
+                throw new Error('Scheduled and draft posts need a connected LinkedIn account; connect one on the dashboard or pass a token');
+            }
+            const queue = this.getPostQueue();
+            const entry = await queue.add(post, {
+                publishAt: content.publishAt ? this.parsePublishAt(content.publishAt) : null,
+                draft: content.draft,
+                owner: await this.getQueueOwner(context)
+            });
+
+            return this.createResult(
+                null,
+                { scheduledPost: this.describeQueuedPost(entry) },
+                entry.status === "draft"
+                    ? 'Draft ' + entry.id + ' saved; schedule it with update_scheduled_post'
+                    : 'Post ' + entry.id + ' scheduled for ' + entry.publishAt
+            );
+        }
+
+        const created = await backend.createPost(post);
+        return this.createResult(
+            backend,
+            { post: created },
+            (backend.isDemo ? 'Post would be created with visibility ' : 'Post ' + created.id + ' created with visibility ') + visibility
+        );
+    }
+
+    /**
+     * Validate create_post content and turn it into the post object backends publish
+     */
+    async preparePost(backend, text, visibility, content) {
+        const attachments = ['media', 'article', 'poll'].filter(kind => content[kind] !== undefined);
+        if (attachments.length > 1) {
+            throw new Error('A post can have only one of media, article or poll (got ' + attachments.join(', ') + ')');
+        }
+
+        this.checkMentions(text, content.mentions);
+
+        let author;
+        if (content.author) {
+            author = this.toOrganizationUrn(content.author);
+            await this.assertOrganizationRole(backend, author, MCPServer.ORGANIZATION_ROLES.publish);
+        }
+
+        return {
+            text: text,
+            visibility: visibility,
+            author: author,
+            media: content.media ? this.normalizeMedia(content.media) : undefined,
+            article: content.article,
+            poll: content.poll,
+            mentions: content.mentions
+        };
+    }
+
+    /**
+     * Publish a queued post; called by PostScheduler when the entry is due.
+     * The organization role is checked again since it may have been revoked meanwhile.
+     * @param {object} context - { token } the host can publish with, e.g. the dashboard's account;
+     *                           it is only used when it belongs to the member who queued the post
+     */
+    async publishQueuedPost(entry, context = {}) {
+        const { backend, token } = await this.getPublishingAccount(entry, context);
+        if (entry.post.author) {
+            await this.assertOrganizationRole(backend, entry.post.author, MCPServer.ORGANIZATION_ROLES.publish);
+        }
+        const post = await backend.createPost(entry.post);
+        await this.toolCache.invalidate(MCPServer.CACHE_INVALIDATIONS.create_post, await this.getAccountKey({ token: token }));
+        return post;
+    }
+
+    /**
+     * Find a token of the member who queued the entry: the host's, else the one their sessions
+     * last used. Queued posts are never published to the demo backend.
+     * @throws {Error} with retryable: false when there is none
+     */
+    async getPublishingAccount(entry, context) {
+        const tokens = [context.token || this.linkedinToken, this.accountTokens.get(entry.owner)];
+
+        for (const token of tokens.filter(Boolean)) {
+            const backend = this.getBackend({ token: token });
+            if (backend.isDemo) {
+                break;
+            }
+            try {
+                if (await backend.getMemberUrn() === entry.owner) {
+                    return { backend: backend, token: token };
+                }
+            } catch (error) {
+                // An expired token can still leave another one to try
+                if (!(error instanceof MCPModules.LinkedInApiError) || error.status !== 401) {
+                    throw error;
+                }
+            }
+        }
+
+        const error = new Error('No LinkedIn token available for ' + (entry.owner || 'the member') +
+            ', who queued this post; connect that account and reschedule it');
+        error.retryable = false;
+        throw error;
+    }
+
+    async listScheduledPosts(status = null, count = 20, cursor, context = {}) {
+        const page = this.readCursor("list_scheduled_posts", cursor, count, { status: status });
+        const owner = await this.getQueueOwner(context);
+        const entries = (await this.getPostQueue().list(status)).filter(entry => entry.owner === owner);
+
+        const data = this.withNextCursor("list_scheduled_posts", {
+            elements: entries.slice(page.start, page.start + page.count).map(entry => this.describeQueuedPost(entry)),
+            paging: {
+                start: page.start,
+                count: page.count,
+                total: entries.length
+            }
+        }, page, { status: status });
+
+        return this.createResult(null, data, this.summarizePage(data, status ? status + ' posts' : 'queued posts'));
+    }
+
+    /**
+     * @param {object} changes - { text, visibility, publishAt, draft }
+     */
+    async updateScheduledPost(id, changes, context = {}) {
+        const queue = this.getPostQueue();
+        const entry = await this.getEditableQueuedPost(queue, id, context);
+        const post = Object.assign({}, entry.post);
+        const update = { post: post };
+
+        if (changes.text !== undefined) {
+            this.checkMentions(changes.text, post.mentions);
+            post.text = changes.text;
+        }
+        if (changes.visibility !== undefined) {
+            post.visibility = changes.visibility;
+        }
+        if (changes.publishAt !== undefined) {
+            update.publishAt = this.parsePublishAt(changes.publishAt);
+        }
+
+        const draft = changes.draft !== undefined ? changes.draft : entry.status === "draft";
+        update.status = draft ? "draft" : "scheduled";
+        if (!draft) {
+            update.publishAt = update.publishAt || entry.publishAt || new Date().toISOString();
+        }
+        if (entry.status === "failed") {
+            // Retrying a failed post starts a fresh series of attempts
+            Object.assign(update, { attempts: 0, nextAttemptAt: null, lastError: null });
+        }
+
+        // Only if nobody (the scheduler, another session) changed the entry since it was read
+        const updated = await queue.update(id, update, current => current.updatedAt === entry.updatedAt);
+        if (!updated) {
+            throw this.createQueueConflict(id);
+        }
+
+        return this.createResult(
+            null,
+            { scheduledPost: this.describeQueuedPost(updated) },
+            draft ? 'Draft ' + id + ' updated' : 'Post ' + id + ' scheduled for ' + update.publishAt
+        );
+    }
+
+    async cancelScheduledPost(id, context = {}) {
+        const queue = this.getPostQueue();
+        await this.getEditableQueuedPost(queue, id, context);
+
+        const cancelled = await queue.update(id, { status: "cancelled" }, MCPServer.isEditableQueuedPost);
+        if (!cancelled) {
+            throw this.createQueueConflict(id);
+        }
+
+        return this.createResult(
+            null,
+            { scheduledPost: this.describeQueuedPost(cancelled) },
+            'Scheduled post ' + id + ' cancelled'
+        );
+    }
+
+    createQueueConflict(id) {
+        return new Error('Scheduled post ' + id + ' changed meanwhile (it may be publishing now); list it again before retrying');
+    }
+
+    /**
+     * Member URN that owns the queued posts of this request, remembering their token so that
+     * PostScheduler can publish as them
+     */
+    async getQueueOwner(context = {}) {
+        const backend = this.getBackend(context);
+        const owner = await backend.getMemberUrn();
+        const token = context.token || this.linkedinToken;
+        if (token && !backend.isDemo) {
+            this.accountTokens.set(owner, token);
+        }
+        return owner;
+    }
+
+    getPostQueue() {
+        if (!this.postQueue) {
+            throw new Error('Scheduled and draft posts are not available: this server has no post queue configured');
+        }
+        return this.postQueue;
+    }
+
+    /**
+     * Load a queued post of the calling member that can still change, i.e. one that is not
+     * publishing, published or cancelled
+     */
+    async getEditableQueuedPost(queue, id, context) {
+        const entry = await queue.get(id);
+        // Other members' posts are not found rather than forbidden, so their IDs are not disclosed
+        if (!entry || entry.owner !== await this.getQueueOwner(context)) {
+            throw new Error('Scheduled post not found: ' + id);
+        }
+        if (!MCPServer.isEditableQueuedPost(entry)) {
+            throw new Error('Scheduled post ' + id + ' is ' + entry.status + ' and can no longer be changed');
+        }
+        return entry;
+    }
+
+    /**
+     * Normalize an ISO 8601 publish time, rejecting anything unparseable or in the past
+     */
+    parsePublishAt(publishAt) {
+        const time = Date.parse(publishAt);
+        if (isNaN(time)) {
+            throw new Error('Invalid publishAt: ' + publishAt + ' (expected an ISO 8601 date-time)');
+        }
+        if (time < Date.now() - 60 * 1000) {
+            throw new Error('publishAt ' + publishAt + ' is in the past');
+        }
+        return new Date(time).toISOString();
+    }
+
+    /**
+     * Queue entry as returned by the tools, with uploaded file contents left out
+     */
+    describeQueuedPost(entry) {
+        const post = Object.assign({}, entry.post);
+        if (post.media) {
+            post.media = post.media.map(item => ({
+                kind: item.kind,
+                mimeType: item.mimeType,
+                title: item.title,
+                altText: item.altText,
+                size: Math.floor(item.data.length * 3 / 4)
+            }));
+        }
+        return Object.assign({}, entry, { post: post });
+    }
+
+    async getPost(postId, context = {}) {
+        const backend = this.getBackend(context);
+        return this.createResult(backend, await this.findPost(backend, postId), 'Post ' + postId);
+    }
+
+    async listMyPosts(count = 10, cursor, context = {}) {
+        const backend = this.getBackend(context);
+        const page = this.readCursor("list_my_posts", cursor, count);
+        const data = this.withNextCursor("list_my_posts", await backend.getRecentPosts(page.count, page.start), page);
+        return this.createResult(backend, data, this.summarizePage(data, 'recent posts, newest first'));
+    }
+
+    async getPostComments(postId, count = 10, cursor, context = {}) {
+        const backend = this.getBackend(context);
+        const scope = { post_id: postId };
+        const page = this.readCursor("get_post_comments", cursor, count, scope);
+        const data = this.withNextCursor("get_post_comments", await backend.getComments(postId, page.count, page.start), page, scope);
+        return this.createResult(backend, data, this.summarizePage(data, 'comments on ' + postId));
+    }
+
+    async addComment(postId, text, author, context = {}) {
+        const backend = this.getBackend(context);
+        const actor = await this.resolveActor(backend, author);
+        const comment = await backend.addComment(postId, { text: text, actor: actor });
+
+        return this.createResult(
+            backend,
+            { comment: comment },
+            (backend.isDemo ? 'Comment would be added to ' : 'Comment added to ') + postId
+        );
+    }
+
+    async addReaction(postId, reaction = "LIKE", author, context = {}) {
+        const backend = this.getBackend(context);
+        const actor = await this.resolveActor(backend, author);
+
+        return this.createResult(
+            backend,
+            { reaction: await backend.addReaction(postId, reaction, actor) },
+            (backend.isDemo ? 'Reaction would be added to ' : 'Reaction added to ') + postId + ': ' + reaction
+        );
+    }
+
+    async removeReaction(postId, author, context = {}) {
+        const backend = this.getBackend(context);
+        const actor = await this.resolveActor(backend, author);
+
+        return this.createResult(
+            backend,
+            { reaction: await backend.removeReaction(postId, actor) },
+            (backend.isDemo ? 'Reaction would be removed from ' : 'Reaction removed from ') + postId
+        );
+    }
+
+    /**
+     * Analytics of organization posts need a role on the organization; member analytics
+     * are limited by LinkedIn to the member's own posts
+     */
+    async getPostAnalytics(postId, context = {}) {
+        const backend = this.getBackend(context);
+        const post = await this.findPost(backend, postId);
+        if (post.author && post.author.startsWith('urn:li:organization:')) {
+            await this.assertOrganizationRole(backend, post.author, MCPServer.ORGANIZATION_ROLES.read);
+        }
+
+        const analytics = await backend.getPostAnalytics(postId, post.author);
+        return this.createResult(
+            backend,
+            {
+                post: postId,
+                author: post.author,
+                analytics: analytics
+            },
+            'Lifetime analytics of ' + postId + ': ' + analytics.impressions + ' impressions, ' +
+                analytics.reactions + ' reactions, ' + analytics.comments + ' comments, ' + analytics.shares + ' shares'
+        );
+    }
+
+    async findPost(backend, postId) {
+        const post = await backend.getPost(postId);
+        if (!post) {
+            throw new Error('Post not found: ' + postId);
+        }
+        return post;
+    }
+
+    /**
+     * Organization URN to act as after checking the publishing role, or undefined for the member
+     */
+    async resolveActor(backend, author) {
+        if (!author) {
+            return undefined;
+        }
+        const urn = this.toOrganizationUrn(author);
+        await this.assertOrganizationRole(backend, urn, MCPServer.ORGANIZATION_ROLES.publish);
+        return urn;
+    }
+
+    /**
+     * Follower, page or share statistics of an organization the user administers
+     * @param {object} args - { organization, startDate, endDate, granularity }
+     */
+    async getOrganizationStatistics(toolName, args, context = {}) {
+        const backend = this.getBackend(context);
+        const urn = this.toOrganizationUrn(args.organization);
+        const range = this.parseTimeRange(args.startDate, args.endDate, args.granularity);
+        await this.assertOrganizationRole(backend, urn, MCPServer.ORGANIZATION_ROLES.statistics);
+
+        const method = {
+            get_organization_follower_stats: 'getOrganizationFollowerStatistics',
+            get_organization_page_stats: 'getOrganizationPageStatistics',
+            get_organization_share_stats: 'getOrganizationShareStatistics'
+        }[toolName];
+        const statistics = await backend[method](urn, range);
+
+        const timeRange = {
+            start: new Date(range.start).toISOString(),
+            end: new Date(range.end).toISOString()
+        };
+        return this.createResult(
+            backend,
+            Object.assign({
+                organization: urn,
+                timeRange: timeRange,
+                granularity: range.granularity
+            }, statistics),
+            this.tools[toolName].annotations.title + ' of ' + urn + ' from ' + timeRange.start + ' to ' + timeRange.end +
+                ' (' + statistics.series.length + ' ' + range.granularity.toLowerCase() + ' intervals)'
+        );
+    }
+
+    /**
+     * Turn tool date arguments into { start, end, granularity } with epoch millisecond bounds
+     */
+    parseTimeRange(startDate, endDate, granularity = "DAY") {
+        const parse = (value, name) => {
+            const time = Date.parse(value);
+            if (isNaN(time)) {
+                throw new Error('Invalid ' + name + ': ' + value + ' (expected an ISO 8601 date or date-time)');
+            }
+            return time;
+        };
+
+        const end = endDate ? parse(endDate, 'endDate') : Date.now();
+        let start;
+        if (startDate) {
+            start = parse(startDate, 'startDate');
+        } else {
+            const defaultStart = new Date(end);
+            if (granularity === "MONTH") {
+                defaultStart.setUTCMonth(defaultStart.getUTCMonth() - 12);
+            } else {
+                defaultStart.setUTCDate(defaultStart.getUTCDate() - 30);
+            }
+            start = defaultStart.getTime();
+        }
+
+        if (start >= end) {
+            throw new Error('startDate must be before endDate');
+        }
+        const maxDays = MCPServer.MAX_TIME_RANGE_DAYS[granularity];
+        if (end - start > maxDays * 24 * 60 * 60 * 1000) {
+            throw new Error('The time range is too long: at most ' + maxDays + ' days with ' + granularity + ' granularity');
+        }
+
+        return { start: start, end: end, granularity: granularity };
+    }
+
+    async listOrganizationPosts(organization, count = 10, cursor, context = {}) {
+        const backend = this.getBackend(context);
+        const urn = this.toOrganizationUrn(organization);
+        const scope = { organization: urn };
+        const page = this.readCursor("list_organization_posts", cursor, count, scope);
+        await this.assertOrganizationRole(backend, urn, MCPServer.ORGANIZATION_ROLES.read);
+
+        const data = this.withNextCursor("list_organization_posts", await backend.getOrganizationPosts(urn, page.count, page.start), page, scope);
+        return this.createResult(backend, data, this.summarizePage(data, 'posts of ' + urn + ', newest first'));
+    }
+
+    async updateOrganizationPost(postId, text, mentions, context = {}) {
+        this.checkMentions(text, mentions);
+
+        const backend = this.getBackend(context);
+        await this.getOrganizationPost(backend, postId);
+        const post = await backend.updatePost(postId, { text: text, mentions: mentions });
+
+        return this.createResult(
+            backend,
+            { post: post },
+            (backend.isDemo ? 'Post would be updated: ' : 'Post updated: ') + postId
+        );
+    }
+
+    async deleteOrganizationPost(postId, context = {}) {
+        const backend = this.getBackend(context);
+        await this.getOrganizationPost(backend, postId);
+        await backend.deletePost(postId);
+
+        return this.createResult(
+            backend,
+            { post: { id: postId } },
+            (backend.isDemo ? 'Post would be deleted: ' : 'Post deleted: ') + postId
+        );
+    }
+
+    /**
+     * Load a post and make sure it was published by an organization the user may manage
+     */
+    async getOrganizationPost(backend, postId) {
+        const post = await this.findPost(backend, postId);
+        if (!post.author || !post.author.startsWith('urn:li:organization:')) {
+            throw new Error('Post ' + postId + ' was not published by an organization');
+        }
+
+        await this.assertOrganizationRole(backend, post.author, MCPServer.ORGANIZATION_ROLES.publish);
+        return post;
+    }
+
+    /**
+     * Reject the call unless the user holds an approved role from roles on the organization
+     */
+    async assertOrganizationRole(backend, organizationUrn, roles) {
+        const acls = await backend.getOrganizationAcls();
+        const allowed = acls.elements.some(acl =>
+            acl.organization === organizationUrn &&
+            acl.state === "APPROVED" &&
+            roles.indexOf(acl.role) !== -1
+        );
+
+        if (!allowed) {
+            throw new Error('Insufficient role on ' + organizationUrn + ': requires one of ' + roles.join(', '));
+        }
+    }
+
+    toOrganizationUrn(organization) {
+        const id = organization.trim().replace(/^urn:li:organization:/, '');
+        if (!/^[\w-]+$/.test(id)) {
+            throw new Error('Invalid organization: ' + organization + ' (expected an ID or urn:li:organization:<id>)');
+        }
+        return 'urn:li:organization:' + id;
+    }
+
+    /**
+     * Every mention must point at text that is actually in the post
+     */
+    checkMentions(text, mentions = []) {
+        (mentions || []).forEach(mention => {
+            if (text.indexOf(mention.name) === -1) {
+                throw new Error('Mention "' + mention.name + '" does not appear in the post text');
+            }
+        });
+    }
+
+    /**
+     * Turn create_post media items (MCP image/resource content blocks or documents)
+     * into { kind, mimeType, data, title, altText } uploads for the backend
+     */
+    normalizeMedia(items) {
+        const invalid = (index, message) => new Error('Invalid media item /media/' + index + ': ' + message);
+
+        const media = items.map((item, index) => {
+            let mimeType = item.mimeType;
+            let data = item.data;
+            let title = item.title;
+
+            if (item.type === 'resource') {
+                const resource = item.resource || {};
+                if (typeof resource.blob !== 'string') {
+                    throw invalid(index, 'embedded resources must carry base64 content in resource.blob');
+                }
+                mimeType = resource.mimeType || mimeType;
+                data = resource.blob;
+                title = title || (resource.uri || '').split('/').pop() || undefined;
+            }
+
+            if (typeof data !== 'string' || !data) {
+                throw invalid(index, 'data is required');
+            }
+            if (typeof mimeType !== 'string') {
+                throw invalid(index, 'mimeType is required');
+            }
+
+            const kind = item.type === 'document' || (item.type === 'resource' && !mimeType.startsWith('image/'))
+                ? 'document'
+                : 'image';
+            if (kind === 'image' && !mimeType.startsWith('image/')) {
+                throw invalid(index, 'image content must have an image/* mimeType');
+            }
+            if (kind === 'document' && MCPServer.DOCUMENT_MIME_TYPES.indexOf(mimeType) === -1) {
+                throw invalid(index, 'unsupported document type ' + mimeType + ' (use PDF, PowerPoint or Word)');
+            }
+
+            return {
+                kind: kind,
+                mimeType: mimeType,
+                data: data,
+                title: title || (kind === 'document' ? 'Document' : undefined),
+                altText: item.altText
+            };
+        });
+
+        const documents = media.filter(item => item.kind === 'document').length;
+        if (documents > 0 && media.length > 1) {
+            throw new Error('A document must be the only media item of a post');
+        }
+
+        return media;
+    }
+
+    /**
+     * @param {object} filters - { industry, location, companySize }
+     */
+    async searchOrganizations(query, limit = 10, filters = {}, cursor, context = {}) {
+        const backend = this.getBackend(context);
+        const scope = Object.assign({ query: query }, filters);
+        const page = this.readCursor("search_organizations", cursor, limit, scope);
+        const data = this.withNextCursor(
+            "search_organizations",
+            await backend.searchOrganizations(query, page.count, page.start, filters),
+            page,
+            scope
+        );
+        return this.createResult(backend, data, this.summarizePage(data, 'organizations matching "' + query + '"'));
+    }
+
+    async getOrganizations(role = null, count = 50, cursor, context = {}) {
+        const backend = this.getBackend(context);
+        const scope = { role: role };
+        const page = this.readCursor("get_organizations", cursor, count, scope);
+        const data = this.withNextCursor("get_organizations", await backend.getOrganizationAcls(role, page.count, page.start), page, scope);
+        return this.createResult(
+            backend,
+            data,
+            this.summarizePage(data, 'organizations you hold ' + (role ? 'the ' + role + ' role' : 'a role') + ' on')
+        );
+    }
+
+    /**
+     * Position of the page a list call asks for. Cursors are opaque to clients: base64url JSON
+     * holding the start index and page size, bound to the list (tool plus the arguments that
+     * select it, hashed) so a cursor cannot be replayed against a different query.
+     * @param {object} scope - arguments that define the list, e.g. the search query and filters
+     * @returns {{start: number, count: number}}
+     */
+    readCursor(listName, cursor, count, scope = {}) {
+        if (cursor === undefined) {
+            return { start: 0, count: count };
+        }
+
+        let position = null;
+        try {
+            position = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+        } catch (error) {
+            // Reported below
+        }
+
+        if (!position || position.list !== listName || position.scope !== this.hashScope(scope) ||
+            !Number.isInteger(position.start) || position.start < 0 ||
+            !Number.isInteger(position.count) || position.count < 1) {
+            throw new Error('Invalid cursor for ' + listName + ': pass nextCursor from a previous call with the same arguments');
+        }
+
+        return { start: position.start, count: position.count };
+    }
+
+    /**
+     * Add nextCursor to a page of results when more remain, judged by paging.total when the
+     * API reports it and by a full page otherwise
+     */
+    withNextCursor(listName, data, page, scope = {}) {
+        const returned = data.elements.length;
+        const total = data.paging && data.paging.total;
+        const more = returned > 0 && (typeof total === 'number' ? page.start + returned < total : returned >= page.count);
+        if (!more) {
+            return data;
+        }
+
+        return Object.assign({}, data, {
+            nextCursor: this.encodeCursor(listName, page.start + returned, page.count, scope)
+        });
+    }
+
+    encodeCursor(listName, start, count, scope = {}) {
+        const json = JSON.stringify({ list: listName, scope: this.hashScope(scope), start: start, count: count });
+        return btoa(json).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Short, stable hash of list arguments (32-bit FNV-1a of their canonical JSON)
+     */
+    hashScope(scope) {
+        const text = this.fingerprintArguments(scope);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    /**
+     * One RateLimiter per tool with a quota; hosts create these once and pass them to every
+     * session's MCPServer so the limits hold across sessions
+     * @param {object} quotas - { toolName: { limit, intervalMs } }
+     */
+    static createToolQuotas(quotas = MCPServer.TOOL_QUOTAS) {
+        const limiters = {};
+        Object.keys(quotas).forEach(toolName => {
+            limiters[toolName] = new MCPModules.RateLimiter(quotas[toolName]);
+        });
+        return limiters;
+    }
+
+    /**
+     * Abort reason for a call the client cancelled (or disconnected from); such calls get no response
+     */
+    static createCancellation(reason) {
+        const error = new Error('cancelled by the client' + (reason ? ': ' + reason : ''));
+        error.name = 'AbortError';
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * Queued posts that can still be edited or cancelled: not publishing, published or cancelled
+     */
+    static isEditableQueuedPost(entry) {
+        return ["draft", "scheduled", "failed"].includes(entry.status);
+    }
+}
+
+// How long a write tool's confirmation token stays valid, and how long the user has to
+// answer a confirmation form (elicitation)
+MCPServer.CONFIRMATION_TTL_MS = 5 * 60 * 1000;
+
+// How long to wait for the client to answer other requests the server sends it
+MCPServer.CLIENT_REQUEST_TIMEOUT_MS = 60 * 1000;
+
+// Tools per tools/list page
+MCPServer.TOOLS_PAGE_SIZE = 50;
+
+// Names registerTool accepts
+MCPServer.TOOL_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// Read-only tools whose results are cached: fresh for ttlMs, then served for staleMs more while
+// they are refreshed in the background. Tags name what a write tool invalidates.
+MCPServer.CACHE_POLICIES = {
+    get_profile: { ttlMs: 5 * 60 * 1000, staleMs: 60 * 60 * 1000, tags: ['profile'] },
+    get_organizations: { ttlMs: 5 * 60 * 1000, staleMs: 60 * 60 * 1000, tags: ['organizations'] },
+    search_organizations: { ttlMs: 15 * 60 * 1000, staleMs: 60 * 60 * 1000, tags: ['organizations'] },
+    get_post: { ttlMs: 60 * 1000, tags: ['posts'] },
+    list_my_posts: { ttlMs: 60 * 1000, tags: ['posts'] },
+    list_organization_posts: { ttlMs: 60 * 1000, tags: ['posts'] },
+    get_post_comments: { ttlMs: 30 * 1000, tags: ['comments'] },
+    get_post_analytics: { ttlMs: 5 * 60 * 1000, tags: ['analytics'] },
+    get_organization_follower_stats: { ttlMs: 15 * 60 * 1000, tags: ['statistics'] },
+    get_organization_page_stats: { ttlMs: 15 * 60 * 1000, tags: ['statistics'] },
+    get_organization_share_stats: { ttlMs: 15 * 60 * 1000, tags: ['statistics'] }
+};
+
+// Cache tags each write tool invalidates for the account that called it
+MCPServer.CACHE_INVALIDATIONS = {
+    create_post: ['posts', 'statistics'],
+    update_organization_post: ['posts'],
+    delete_organization_post: ['posts', 'comments', 'analytics', 'statistics'],
+    add_comment: ['comments', 'analytics'],
+    add_reaction: ['posts', 'analytics'],
+    remove_reaction: ['posts', 'analytics']
+};
+
+// How long a tool call may run before it is aborted, unless MCPServer.TOOL_TIMEOUTS or the
+// toolTimeouts option sets a limit for the tool; posting allows for media uploads
+MCPServer.DEFAULT_TOOL_TIMEOUT_MS = 60 * 1000;
+MCPServer.TOOL_TIMEOUTS = {
+    create_post: 3 * 60 * 1000
+};
+
+// Longest statistics time range per granularity, which also bounds the number of buckets
+MCPServer.MAX_TIME_RANGE_DAYS = {
+    DAY: 366,
+    MONTH: 3 * 366
+};
+
+// Calls per LinkedIn account, refilled evenly over intervalMs; posting is limited the most
+MCPServer.TOOL_QUOTAS = {
+    create_post: { limit: 10, intervalMs: 60 * 60 * 1000 },
+    update_organization_post: { limit: 30, intervalMs: 60 * 60 * 1000 },
+    delete_organization_post: { limit: 30, intervalMs: 60 * 60 * 1000 },
+    add_comment: { limit: 30, intervalMs: 60 * 60 * 1000 },
+    add_reaction: { limit: 60, intervalMs: 60 * 60 * 1000 },
+    remove_reaction: { limit: 60, intervalMs: 60 * 60 * 1000 },
+    search_organizations: { limit: 60, intervalMs: 60 * 1000 }
+};
+
+// Organization roles allowed to read and to publish/edit/delete company-page posts,
+// and to see page-wide follower, page view and share statistics
+MCPServer.ORGANIZATION_ROLES = {
+    read: ['ADMINISTRATOR', 'CONTENT_ADMINISTRATOR', 'ANALYST'],
+    publish: ['ADMINISTRATOR', 'CONTENT_ADMINISTRATOR'],
+    statistics: ['ADMINISTRATOR']
+};
+
+// Document formats LinkedIn accepts for document posts
+MCPServer.DOCUMENT_MIME_TYPES = [
+    'application/pdf',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+// Newest first; the first entry is offered to clients asking for a version we do not know
+MCPServer.SUPPORTED_PROTOCOL_VERSIONS = ['2025-11-25', '2025-06-18', '2025-03-26', '2024-11-05'];
+
+MCPServer.INSTRUCTIONS = 'Tools for the connected LinkedIn member: read the profile, publish posts, ' +
+    'search organizations and list the organizations the member has a role on. ' +
+    'Posts can be read, commented on and reacted to, with analytics for the member\'s and managed pages\' posts. ' +
+    'Posts can be published as, and company-page posts managed for, organizations the member administers. ' +
+    'Posts can also be scheduled with publishAt or saved as drafts and managed with the *_scheduled_post tools. ' +
+    'When a write tool returns a preview with a confirmationToken, show it to the user and repeat the call ' +
+    'with the token only after they approve. ' +
+    'Without a connected LinkedIn account the tools return sample data flagged with _meta.demo.';
 
-// Make MCPServer available globally
-if (typeof window !== 'undefined') {
-    window.MCPServer = MCPServer;
+// Make MCPServer available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.MCPServer = MCPServer;
 }
 
 // Export for Node.js environments
@@ -0,0 +1,208 @@
+/**
+ * LinkedIn OAuth 2.0 authorization-code flow with PKCE
+ * The dashboard starts the flow and handles the redirect; tokens are kept in
+ * IndexedDB so the service worker can read (and refresh) them on each request.
+ */
+
+class LinkedInOAuth {
+    /**
+     * @param {object} config - MCPConfig.linkedin
+     * @param {object} store - key-value store (IndexedDBStore or MemoryStore) for the token record
+     * @param {object} [options] - { logger }
+     */
+    constructor(config, store, options = {}) {
+        this.config = config;
+        this.store = store;
+        this.logger = options.logger || console;
+        this.fetch = (url, init) => fetch(url, init);
+        this.refreshing = null;
+    }
+
+    getRedirectUri() {
+        return this.config.redirectUri || (self.location.origin + '/');
+    }
+
+    /**
+     * Build the authorization URL and remember the PKCE verifier and state for the redirect
+     */
+    async createAuthorizationUrl() {
+        if (!this.config.clientId) {
+            throw new Error('LinkedIn client ID is not configured (MCPConfig.linkedin.clientId)');
+        }
+
+        const codeVerifier = LinkedInOAuth.randomString(32);
+        const state = LinkedInOAuth.randomString(16);
+        const challenge = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+
+        sessionStorage.setItem(LinkedInOAuth.PENDING_KEY, JSON.stringify({
+            state: state,
+            codeVerifier: codeVerifier,
+            redirectUri: this.getRedirectUri()
+        }));
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.config.clientId,
+            redirect_uri: this.getRedirectUri(),
+            scope: this.config.scope,
+            state: state,
+            code_challenge: LinkedInOAuth.base64Url(new Uint8Array(challenge)),
+            code_challenge_method: 'S256'
+        });
+
+        return this.config.authorizationEndpoint + '?' + params.toString();
+    }
+
+    /**
+     * Complete the flow if the current URL is an OAuth redirect.
+     * Resolves with the stored token record, or null when the URL is not a redirect.
+     */
+    async handleRedirect(url) {
+        const params = new URL(url).searchParams;
+        if (!params.has('code') && !params.has('error')) {
+            return null;
+        }
+
+        const pending = JSON.parse(sessionStorage.getItem(LinkedInOAuth.PENDING_KEY) || 'null');
+        sessionStorage.removeItem(LinkedInOAuth.PENDING_KEY);
+
+        if (params.has('error')) {
+            throw new Error('LinkedIn authorization failed: ' +
+                (params.get('error_description') || params.get('error')));
+        }
+
+        if (!pending || pending.state !== params.get('state')) {
+            throw new Error('OAuth state mismatch; please start the LinkedIn connection again');
+        }
+
+        const tokens = await this.requestToken({
+            grant_type: 'authorization_code',
+            code: params.get('code'),
+            redirect_uri: pending.redirectUri,
+            client_id: this.config.clientId,
+            code_verifier: pending.codeVerifier
+        });
+
+        return this.saveTokens(tokens);
+    }
+
+    async requestToken(form) {
+        const response = await this.fetch(this.config.tokenEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams(form).toString()
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok || !data.access_token) {
+            throw new Error('Token request failed: ' +
+                (data.error_description || data.error || response.status));
+        }
+        return data;
+    }
+
+    /**
+     * Store a token endpoint response, converting relative lifetimes to timestamps
+     */
+    async saveTokens(tokens, previous = null) {
+        const now = Date.now();
+        const record = {
+            accessToken: tokens.access_token,
+            expiresAt: tokens.expires_in ? now + tokens.expires_in * 1000 : null,
+            refreshToken: tokens.refresh_token || (previous && previous.refreshToken) || null,
+            refreshTokenExpiresAt: tokens.refresh_token_expires_in
+                ? now + tokens.refresh_token_expires_in * 1000
+                : (previous && previous.refreshTokenExpiresAt) || null,
+            scope: tokens.scope || (previous && previous.scope) || this.config.scope,
+            obtainedAt: now
+        };
+
+        await this.store.set('token', record);
+        return record;
+    }
+
+    async getTokenRecord() {
+        return (await this.store.get('token')) || null;
+    }
+
+    async clearTokens() {
+        await this.store.delete('token');
+    }
+
+    /**
+     * Exchange the stored refresh token for a new access token
+     */
+    async refresh() {
+        if (!this.refreshing) {
+            this.refreshing = (async () => {
+                const record = await this.getTokenRecord();
+                if (!record || !record.refreshToken) {
+                    throw new Error('No refresh token available; reconnect LinkedIn');
+                }
+                if (record.refreshTokenExpiresAt && record.refreshTokenExpiresAt <= Date.now()) {
+                    throw new Error('Refresh token expired; reconnect LinkedIn');
+                }
+
+                const tokens = await this.requestToken({
+                    grant_type: 'refresh_token',
+                    refresh_token: record.refreshToken,
+                    client_id: this.config.clientId
+                });
+                return this.saveTokens(tokens, record);
+            })().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    /**
+     * Get a usable access token, refreshing it shortly before expiry.
+     * Resolves with null when nothing is stored.
+     * @throws {Error} when the stored token expired and cannot be refreshed, so callers do not
+     *                 mistake a lost connection for never having connected (demo mode)
+     */
+    async getAccessToken() {
+        const record = await this.getTokenRecord();
+        if (!record) {
+            return null;
+        }
+
+        if (!record.expiresAt || record.expiresAt - LinkedInOAuth.EXPIRY_SKEW_MS > Date.now()) {
+            return record.accessToken;
+        }
+
+        try {
+            return (await this.refresh()).accessToken;
+        } catch (error) {
+            this.logger.warn('LinkedIn token refresh failed: ' + error.message);
+            throw new Error('the stored LinkedIn token expired and could not be refreshed (' + error.message +
+                '); reconnect LinkedIn on the dashboard');
+        }
+    }
+
+    static randomString(byteLength) {
+        return LinkedInOAuth.base64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+    }
+
+    static base64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+}
+
+LinkedInOAuth.PENDING_KEY = 'linkedin-oauth-pending';
+LinkedInOAuth.EXPIRY_SKEW_MS = 60 * 1000;
+
+// Make LinkedInOAuth available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.LinkedInOAuth = LinkedInOAuth;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LinkedInOAuth };
+}
@@ -0,0 +1,224 @@
+/**
+ * Scheduled and draft posts
+ * PostQueue keeps queued posts in any store with the IndexedDBStore interface
+ * (IndexedDB in the service worker, a JSON file in Node.js); PostScheduler
+ * publishes the ones that are due and retries failures with backoff.
+ */
+
+const POST_QUEUE_STATUSES = ['draft', 'scheduled', 'publishing', 'published', 'failed', 'cancelled'];
+
+class PostQueue {
+    /**
+     * @param {object} store - { get, set, update, delete, values } key-value store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * Queue a post prepared by MCPServer; without publishAt a non-draft entry is due immediately
+     * @param {object} post - { text, visibility, author, media, article, poll, mentions }
+     * @param {object} options - { publishAt (ISO 8601), draft, owner }; owner is the member URN
+     *                           the post is published as and whose sessions may see and change it
+     */
+    async add(post, { publishAt = null, draft = false, owner = null } = {}) {
+        const now = new Date().toISOString();
+        const entry = {
+            id: 'queued-post-' + crypto.randomUUID(),
+            status: draft ? 'draft' : 'scheduled',
+            publishAt: publishAt || (draft ? null : now),
+            owner: owner,
+            post: post,
+            attempts: 0,
+            nextAttemptAt: null,
+            leaseExpiresAt: null,
+            lastError: null,
+            postId: null,
+            publishedAt: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.store.set(entry.id, entry);
+        return entry;
+    }
+
+    async get(id) {
+        return (await this.store.get(id)) || null;
+    }
+
+    /**
+     * List entries ordered by publish time, drafts without one last
+     */
+    async list(status = null) {
+        const entries = await this.store.values();
+        return entries
+            .filter(entry => !status || entry.status === status)
+            .sort((a, b) => (a.publishAt || '\uffff').localeCompare(b.publishAt || '\uffff'));
+    }
+
+    /**
+     * Merge changes into an entry and save it, in one read-modify-write so that a change
+     * made meanwhile (e.g. a cancel while the scheduler claims the entry) is never overwritten
+     * @param {function} [when] - (current entry) => boolean; the entry is left alone when false
+     * @returns {Promise<object|null>} the updated entry, or null when it is missing or when is false
+     */
+    async update(id, changes, when = null) {
+        const updated = await this.store.update(id, entry => {
+            if (!entry || (when && !when(entry))) {
+                return undefined;
+            }
+            return Object.assign({}, entry, changes, { updatedAt: new Date().toISOString() });
+        });
+        return updated || null;
+    }
+
+    /**
+     * Scheduled entries whose publish time (and retry delay, after a failure) has passed
+     */
+    async due(now = Date.now()) {
+        const entries = await this.list('scheduled');
+        return entries.filter(entry => PostQueue.isDue(entry, now));
+    }
+
+    static isDue(entry, now = Date.now()) {
+        return entry.status === 'scheduled' &&
+            Date.parse(entry.publishAt) <= now &&
+            (!entry.nextAttemptAt || Date.parse(entry.nextAttemptAt) <= now);
+    }
+}
+
+class PostScheduler {
+    /**
+     * @param {PostQueue} queue
+     * @param {object} options - { publish(entry) resolving with the published post (errors with
+     *                            retryable: false fail the entry at once), intervalMs,
+     *                            maxAttempts, retryDelayMs, leaseMs, logger }; leaseMs is how long
+     *                            an entry may stay publishing before it counts as interrupted
+     */
+    constructor(queue, options = {}) {
+        this.queue = queue;
+        this.publish = options.publish;
+        this.intervalMs = options.intervalMs || 60 * 1000;
+        this.maxAttempts = options.maxAttempts || 5;
+        this.retryDelayMs = options.retryDelayMs || 60 * 1000;
+        this.leaseMs = options.leaseMs || 10 * 60 * 1000;
+        this.logger = options.logger || console;
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Publish every due entry; concurrent calls share the same run
+     * @returns {Promise<Array>} the entries processed in this run
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.publishDue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async publishDue() {
+        const processed = await this.failInterrupted();
+
+        for (const { id } of await this.queue.due()) {
+            // Claim the entry as it is now: it may have been edited or cancelled while
+            // earlier entries were publishing
+            const entry = await this.queue.update(id, {
+                status: 'publishing',
+                leaseExpiresAt: new Date(Date.now() + this.leaseMs).toISOString()
+            }, current => PostQueue.isDue(current));
+            if (!entry) {
+                continue;
+            }
+
+            try {
+                const post = await this.publish(entry);
+                processed.push(await this.queue.update(entry.id, {
+                    status: 'published',
+                    attempts: entry.attempts + 1,
+                    nextAttemptAt: null,
+                    leaseExpiresAt: null,
+                    lastError: null,
+                    postId: post && post.id,
+                    publishedAt: new Date().toISOString()
+                }));
+            } catch (error) {
+                const attempts = entry.attempts + 1;
+                const retry = error.retryable !== false && attempts < this.maxAttempts;
+                this.logger.warn('Publishing queued post ' + entry.id + ' failed (attempt ' + attempts + '): ' + error.message);
+
+                processed.push(await this.queue.update(entry.id, {
+                    status: retry ? 'scheduled' : 'failed',
+                    attempts: attempts,
+                    nextAttemptAt: retry
+                        ? new Date(Date.now() + this.retryDelayMs * Math.pow(2, attempts - 1)).toISOString()
+                        : null,
+                    leaseExpiresAt: null,
+                    lastError: error.message
+                }));
+            }
+        }
+
+        return processed;
+    }
+
+    /**
+     * Mark entries failed that stayed publishing past their lease, i.e. whose run was cut short
+     * (worker stopped, process killed). They are not retried on their own since LinkedIn may
+     * already have the post; update_scheduled_post or cancel_scheduled_post resolves them.
+     */
+    async failInterrupted(now = Date.now()) {
+        const failed = [];
+
+        for (const { id } of await this.queue.list('publishing')) {
+            const entry = await this.queue.update(id, {
+                status: 'failed',
+                leaseExpiresAt: null,
+                lastError: 'Publishing was interrupted; check LinkedIn for the post before scheduling it again'
+            }, current => current.status === 'publishing' && !(Date.parse(current.leaseExpiresAt) > now));
+
+            if (entry) {
+                this.logger.warn('Queued post ' + id + ' was interrupted while publishing and is marked failed');
+                failed.push(entry);
+            }
+        }
+
+        return failed;
+    }
+
+    /**
+     * Flush on a timer; the timer does not keep a Node.js process alive on its own
+     */
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.flush().catch(error => this.logger.error('Post queue flush failed:', error));
+            }, this.intervalMs);
+            if (this.timer.unref) {
+                this.timer.unref();
+            }
+        }
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Make the queue available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.PostQueue = PostQueue;
+    self.PostScheduler = PostScheduler;
+    self.POST_QUEUE_STATUSES = POST_QUEUE_STATUSES;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PostQueue, PostScheduler, POST_QUEUE_STATUSES };
+}
@@ -0,0 +1,127 @@
+/**
+ * MCP prompt templates for common LinkedIn workflows
+ * Each prompt lists the LinkedIn data it needs (`uses`); MCPServer fetches that data
+ * and passes it to render(), which returns the prompt messages.
+ */
+
+const LINKEDIN_PROMPTS = [
+    {
+        name: "draft_post_from_bullets",
+        title: "Draft a post from bullet points",
+        description: "Turn rough bullet points into a LinkedIn post written in the member's voice",
+        arguments: [
+            { name: "bullets", description: "Bullet points or notes the post should cover", required: true },
+            { name: "tone", description: "Desired tone, e.g. professional, casual, celebratory", required: false },
+            { name: "audience", description: "Who the post is for, e.g. recruiters, engineers", required: false }
+        ],
+        uses: ["profile"],
+        render(args, data) {
+            return [
+                embedResource("linkedin://profile/me", data.profile),
+                promptText(
+                    "Write a LinkedIn post for " + describeMember(data.profile) + " covering these points:\n\n" +
+                    args.bullets + "\n\n" +
+                    "Tone: " + (args.tone || "professional but approachable") + ".\n" +
+                    (args.audience ? "Audience: " + args.audience + ".\n" : "") +
+                    "Keep it under 1,300 characters, open with a strong first line, use short paragraphs " +
+                    "and end with a question or call to action. Use at most three relevant hashtags. " +
+                    "Return only the post text so it can be passed to the create_post tool."
+                )
+            ];
+        }
+    },
+    {
+        name: "rewrite_post_for_company_page",
+        title: "Rewrite a post for a company page",
+        description: "Adapt a personal post so it can be published on an organization's LinkedIn page",
+        arguments: [
+            { name: "post", description: "The original post text", required: true },
+            { name: "organization", description: "Organization URN, numeric ID or name; defaults to the first page the member administers", required: false }
+        ],
+        uses: ["organization"],
+        render(args, data) {
+            return [
+                embedResource("linkedin://organization/" + data.organization.id, data.organization),
+                promptText(
+                    "Rewrite the following post so it can be published on the LinkedIn page of " +
+                    (data.organization.localizedName || "the organization above") + ".\n\n" +
+                    "Speak as the company (\"we\"), keep the facts unchanged, match the organization's " +
+                    "description and industry, and remove personal anecdotes that do not fit a brand voice.\n\n" +
+                    "Original post:\n" + args.post
+                )
+            ];
+        }
+    },
+    {
+        name: "summarize_organization",
+        title: "Summarize an organization before outreach",
+        description: "Brief on an organization and suggest outreach angles from the member's background",
+        arguments: [
+            { name: "organization", description: "Organization URN, numeric ID or name", required: true },
+            { name: "goal", description: "Purpose of the outreach, e.g. partnership, job application, sales", required: false }
+        ],
+        uses: ["profile", "organization"],
+        render(args, data) {
+            return [
+                embedResource("linkedin://profile/me", data.profile),
+                embedResource("linkedin://organization/" + data.organization.id, data.organization),
+                promptText(
+                    "Summarize " + (data.organization.localizedName || "this organization") + " in five bullet points " +
+                    "(what they do, size, industry, recent focus, and anything notable).\n" +
+                    "Then suggest two or three outreach angles for " + describeMember(data.profile) +
+                    (args.goal ? " with the goal of " + args.goal : "") + ", based on the profile above, " +
+                    "and draft a short connection request message (under 300 characters)."
+                )
+            ];
+        }
+    }
+];
+
+/**
+ * Name and headline of a member from any of the profile shapes (userinfo, /v2/me, demo)
+ */
+function describeMember(profile) {
+    const localized = field => field && field.localized ? Object.values(field.localized)[0] : field;
+    const name = profile.name ||
+        [profile.given_name || localized(profile.firstName), profile.family_name || localized(profile.lastName)]
+            .filter(Boolean)
+            .join(' ');
+    const headline = localized(profile.headline);
+
+    return (name || "the member") + (headline ? " (" + headline + ")" : "");
+}
+
+function embedResource(uri, data) {
+    return {
+        role: "user",
+        content: {
+            type: "resource",
+            resource: {
+                uri: uri,
+                mimeType: "application/json",
+                text: JSON.stringify(data, null, 2)
+            }
+        }
+    };
+}
+
+function promptText(text) {
+    return {
+        role: "user",
+        content: {
+            type: "text",
+            text: text
+        }
+    };
+}
+
+// Make the prompts available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.LINKEDIN_PROMPTS = LINKEDIN_PROMPTS;
+    self.describeMember = describeMember;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LINKEDIN_PROMPTS, describeMember };
+}
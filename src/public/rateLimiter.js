@@ -0,0 +1,90 @@
+/**
+ * Token-bucket rate limiter
+ * Each key gets a bucket of `limit` tokens that refills evenly over `intervalMs`, so a
+ * client can burst up to the limit and then continues at limit / intervalMs. Used per
+ * client by the HTTP transport and per tool (and LinkedIn account) by MCPServer.
+ */
+
+class RateLimiter {
+    /**
+     * @param {object} options - { limit, intervalMs, maxKeys }; maxKeys bounds memory when
+     *                           many clients come and go
+     */
+    constructor({ limit, intervalMs, maxKeys = 10000 }) {
+        this.limit = limit;
+        this.intervalMs = intervalMs;
+        this.maxKeys = maxKeys;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Take one token from the bucket for key
+     * @returns {{allowed: boolean, remaining: number, retryAfterMs: number}} retryAfterMs is how
+     *          long until a token is available again (0 when allowed)
+     */
+    take(key, now = Date.now()) {
+        const bucket = this.refill(key, now);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+        }
+
+        return {
+            allowed: false,
+            remaining: 0,
+            retryAfterMs: Math.ceil((1 - bucket.tokens) * this.intervalMs / this.limit)
+        };
+    }
+
+    refill(key, now) {
+        let bucket = this.buckets.get(key);
+
+        if (!bucket) {
+            if (this.buckets.size >= this.maxKeys) {
+                this.prune(now);
+            }
+            bucket = { tokens: this.limit, updatedAt: now };
+            this.buckets.set(key, bucket);
+            return bucket;
+        }
+
+        const elapsed = Math.max(0, now - bucket.updatedAt);
+        bucket.tokens = Math.min(this.limit, bucket.tokens + elapsed * this.limit / this.intervalMs);
+        bucket.updatedAt = now;
+        return bucket;
+    }
+
+    /**
+     * Forget buckets that have refilled completely; they behave exactly like new ones.
+     * When every bucket is still in use, the oldest one goes.
+     */
+    prune(now = Date.now()) {
+        this.buckets.forEach((bucket, key) => {
+            if (bucket.tokens + (now - bucket.updatedAt) * this.limit / this.intervalMs >= this.limit) {
+                this.buckets.delete(key);
+            }
+        });
+
+        if (this.buckets.size >= this.maxKeys) {
+            this.buckets.delete(this.buckets.keys().next().value);
+        }
+    }
+
+    /**
+     * Seconds to put in a Retry-After header or retry hint
+     */
+    static toSeconds(retryAfterMs) {
+        return Math.max(1, Math.ceil(retryAfterMs / 1000));
+    }
+}
+
+// Make the limiter available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.RateLimiter = RateLimiter;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RateLimiter };
+}
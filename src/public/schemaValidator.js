@@ -0,0 +1,150 @@
+/**
+ * JSON Schema validator
+ * Supports the draft 2020-12 subset used by the tool schemas: type, properties,
+ * required, enum, minimum/maximum, minLength/maxLength, default,
+ * additionalProperties, items and minItems/maxItems.
+ */
+
+/**
+ * Validate a value against a schema, filling in defaults for missing object properties
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, value: *}}
+ *          value is a copy of the input with defaults applied; errors use JSON Pointer paths
+ */
+function validateSchema(schema, value) {
+    const errors = [];
+    const result = validateValue(schema, value, '', errors);
+
+    return {
+        valid: errors.length === 0,
+        errors: errors,
+        value: result
+    };
+}
+
+function validateValue(schema, value, path, errors) {
+    if (schema.type !== undefined && !matchesType(schema.type, value)) {
+        errors.push({
+            path: path || '/',
+            message: 'must be of type ' + [].concat(schema.type).join(' or ')
+        });
+        return value;
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push({
+            path: path || '/',
+            message: 'must be one of: ' + schema.enum.join(', ')
+        });
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: path || '/', message: 'must be >= ' + schema.minimum });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path: path || '/', message: 'must be <= ' + schema.maximum });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: path || '/', message: 'must be at least ' + schema.minLength + ' characters' });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path: path || '/', message: 'must be at most ' + schema.maxLength + ' characters' });
+        }
+    }
+
+    if (isPlainObject(value)) {
+        return validateObject(schema, value, path, errors);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path: path || '/', message: 'must have at least ' + schema.minItems + ' items' });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path: path || '/', message: 'must have at most ' + schema.maxItems + ' items' });
+        }
+        if (schema.items) {
+            return value.map((item, index) => validateValue(schema.items, item, path + '/' + index, errors));
+        }
+    }
+
+    return value;
+}
+
+function validateObject(schema, value, path, errors) {
+    const properties = schema.properties || {};
+    // Copied key by key: Object.assign would treat an own "__proto__" key as the prototype
+    const result = {};
+    Object.keys(value).forEach(name => setProperty(result, name, value[name]));
+
+    // Own properties only, so keys like "constructor" are never looked up on Object.prototype
+    Object.keys(properties).forEach(name => {
+        if (!hasOwn(result, name) && properties[name].default !== undefined) {
+            setProperty(result, name, JSON.parse(JSON.stringify(properties[name].default)));
+        }
+    });
+
+    (schema.required || []).forEach(name => {
+        if (!hasOwn(result, name) || result[name] === undefined) {
+            errors.push({ path: path + '/' + name, message: 'is required' });
+        }
+    });
+
+    Object.keys(result).forEach(name => {
+        const propertyPath = path + '/' + name;
+
+        if (hasOwn(properties, name)) {
+            result[name] = validateValue(properties[name], result[name], propertyPath, errors);
+        } else if (schema.additionalProperties === false) {
+            errors.push({ path: propertyPath, message: 'is not an allowed property' });
+        } else if (isPlainObject(schema.additionalProperties)) {
+            result[name] = validateValue(schema.additionalProperties, result[name], propertyPath, errors);
+        }
+    });
+
+    return result;
+}
+
+function hasOwn(object, name) {
+    return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+function setProperty(object, name, value) {
+    Object.defineProperty(object, name, { value: value, enumerable: true, writable: true, configurable: true });
+}
+
+function matchesType(type, value) {
+    return [].concat(type).some(candidate => {
+        switch (candidate) {
+            case 'object':
+                return isPlainObject(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'number':
+                return typeof value === 'number' && isFinite(value);
+            case 'null':
+                return value === null;
+            default:
+                return typeof value === candidate;
+        }
+    });
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Make the validator available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.validateSchema = validateSchema;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateSchema };
+}
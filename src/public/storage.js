@@ -0,0 +1,128 @@
+/**
+ * Key-value storage shared by the dashboard and the service worker
+ * Every store is a namespace inside one IndexedDB object store, so adding
+ * a new store never requires a database version upgrade.
+ */
+
+class IndexedDBStore {
+    constructor(namespace, dbName = 'linkedin-mcp') {
+        this.namespace = namespace;
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('kv');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the kv object store and resolve with its result
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('kv', mode);
+            const request = operation(tx.objectStore('kv'));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    key(key) {
+        return this.namespace + ':' + key;
+    }
+
+    async get(key) {
+        return this.transaction('readonly', store => store.get(this.key(key)));
+    }
+
+    async set(key, value) {
+        await this.transaction('readwrite', store => store.put(value, this.key(key)));
+    }
+
+    async delete(key) {
+        await this.transaction('readwrite', store => store.delete(this.key(key)));
+    }
+
+    /**
+     * Read-modify-write in one transaction; change(value) returns the new value, or
+     * undefined to leave the key as it is
+     * @returns {Promise<*>} what change returned
+     */
+    async update(key, change) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('kv', 'readwrite');
+            const store = tx.objectStore('kv');
+            const request = store.get(this.key(key));
+            let result;
+            request.onsuccess = () => {
+                result = change(request.result);
+                if (result !== undefined) {
+                    store.put(result, this.key(key));
+                }
+            };
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async values() {
+        const prefix = this.namespace + ':';
+        return this.transaction('readonly', store => store.getAll(IDBKeyRange.bound(prefix, prefix + '\uffff')));
+    }
+}
+
+/**
+ * In-memory store with the same interface, for Node.js and tests
+ */
+class MemoryStore {
+    constructor() {
+        this.data = new Map();
+    }
+
+    async get(key) {
+        return this.data.get(key);
+    }
+
+    async set(key, value) {
+        this.data.set(key, value);
+    }
+
+    async delete(key) {
+        this.data.delete(key);
+    }
+
+    async update(key, change) {
+        const result = change(this.data.get(key));
+        if (result !== undefined) {
+            this.data.set(key, result);
+        }
+        return result;
+    }
+
+    async values() {
+        return Array.from(this.data.values());
+    }
+}
+
+// Make the stores available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.IndexedDBStore = IndexedDBStore;
+    self.MemoryStore = MemoryStore;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndexedDBStore, MemoryStore };
+}
@@ -3,20 +3,119 @@
  * Handles MCP protocol requests and caching
  */
 
-const CACHE_NAME = 'linkedin-mcp-v2';
+const CACHE_NAME = 'linkedin-mcp-v37';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
-    '/mcpServer.js'
+    '/config.js',
+    '/storage.js',
+    '/oauth.js',
+    '/jsonRpc.js',
+    '/schemaValidator.js',
+    '/logger.js',
+    '/rateLimiter.js',
+    '/toolCache.js',
+    '/toolMetrics.js',
+    '/auditLog.js',
+    '/linkedinClient.js',
+    '/demoBackend.js',
+    '/prompts.js',
+    '/postQueue.js',
+    '/mcpServer.js',
+    '/httpTransport.js'
 ];
 
+// Share the one MCPServer implementation with the page and the Node.js export
+importScripts(
+    'config.js',
+    'storage.js',
+    'oauth.js',
+    'jsonRpc.js',
+    'schemaValidator.js',
+    'logger.js',
+    'rateLimiter.js',
+    'toolCache.js',
+    'toolMetrics.js',
+    'auditLog.js',
+    'linkedinClient.js',
+    'demoBackend.js',
+    'prompts.js',
+    'postQueue.js',
+    'mcpServer.js',
+    'httpTransport.js'
+);
+
+// Console logging; the admin panel on the dashboard shows the recent entries
+const logger = new Logger({ level: MCPConfig.server.logLevel, format: MCPConfig.server.logFormat });
+
+// Write tool calls are audited in IndexedDB; call counts and latency are kept in memory
+const auditLog = new AuditLog(new IndexedDBStore('auditLog'), { logger: logger });
+const toolMetrics = new ToolMetrics();
+
+// Tokens saved by the dashboard's "Connect LinkedIn" flow
+const linkedinOAuth = new LinkedInOAuth(MCPConfig.linkedin, new IndexedDBStore('oauth'), { logger: logger });
+
+// LinkedIn API client settings, e.g. a local simulator instead of api.linkedin.com
+const linkedinOptions = { baseUrl: MCPConfig.linkedin.apiBaseUrl || undefined };
+
+// Results of read-only tools, kept in IndexedDB so they survive the worker being stopped
+const toolCache = new ToolCache(new IndexedDBStore('toolCache'), { logger: logger });
+
+// Scheduled and draft posts; due posts are published as the member who queued them, with the
+// account stored by the dashboard if it is theirs, else with the token their session last used
+const postQueue = new PostQueue(new IndexedDBStore('postQueue'));
+const accountTokens = new Map();
+const postScheduler = new PostScheduler(postQueue, {
+    publish: async entry => new MCPServer(null, {
+        linkedin: linkedinOptions,
+        accountTokens: accountTokens,
+        toolCache: toolCache,
+        logger: logger
+    }).publishQueuedPost(entry, {
+        // A dashboard token that no longer refreshes leaves the member's session token to try
+        token: await linkedinOAuth.getAccessToken().catch(() => null)
+    }),
+    logger: logger
+}).start();
+
+// Tool quotas are shared so that opening more sessions does not raise them
+const toolQuotas = MCPServer.createToolQuotas();
+
+// Streamable HTTP transport; every Mcp-Session-Id gets its own MCPServer
+const mcpTransport = new StreamableHTTPTransport({
+    createServer: () => new MCPServer(null, {
+        linkedin: linkedinOptions,
+        postQueue: postQueue,
+        accountTokens: accountTokens,
+        confirmWrites: MCPConfig.server.confirmWrites,
+        readOnly: MCPConfig.server.readOnly,
+        disabledTools: MCPConfig.server.disabledTools,
+        toolTimeouts: MCPConfig.server.toolTimeouts,
+        toolQuotas: toolQuotas,
+        toolCache: toolCache,
+        logger: logger,
+        auditLog: auditLog,
+        toolMetrics: toolMetrics
+    }),
+    protocolVersions: MCPServer.SUPPORTED_PROTOCOL_VERSIONS,
+    rateLimiter: new RateLimiter(MCPConfig.server.rateLimit),
+    allowedOrigins: [self.location.origin].concat(MCPConfig.server.allowedOrigins),
+    scopes: MCPConfig.linkedin.scope.split(' '),
+    logger: logger,
+    getContext: async (request, auth) => ({
+        // A per-request bearer token overrides the one stored by the dashboard; if that one
+        // expired and cannot be refreshed, the request gets 401 rather than falling back to demo data
+        token: auth.linkedinToken || await linkedinOAuth.getAccessToken()
+    })
+});
+
 // Install event - cache static assets
 self.addEventListener('install', event => {
-    console.log('Service Worker installing...');
+    logger.info('Service Worker installing');
     event.waitUntil(
         caches.open(CACHE_NAME)
             .then(cache => {
-                console.log('Caching static assets');
+                logger.debug('Caching static assets');
                 return cache.addAll(STATIC_ASSETS);
             })
             .then(() => self.skipWaiting())
@@ -25,13 +124,13 @@ self.addEventListener('install', event => {
 
 // Activate event - clean up old caches
 self.addEventListener('activate', event => {
-    console.log('Service Worker activating...');
+    logger.info('Service Worker activating');
     event.waitUntil(
         caches.keys().then(cacheNames => {
             return Promise.all(
                 cacheNames.map(cacheName => {
                     if (cacheName !== CACHE_NAME) {
-                        console.log('Deleting old cache:', cacheName);
+                        logger.info('Deleting old cache ' + cacheName);
                         return caches.delete(cacheName);
                     }
                 })
@@ -46,15 +145,20 @@ self.addEventListener('activate', event => {
 self.addEventListener('fetch', event => {
     const url = new URL(event.request.url);
     
-    // Handle MCP endpoint requests
-    if (url.pathname === '/mcp' && event.request.method === 'POST') {
-        event.respondWith(handleMCPRequest(event.request));
+    // Handle MCP endpoint requests (POST, GET event stream, DELETE, CORS preflight)
+    if (url.pathname === '/mcp') {
+        const response = mcpTransport.handleRequest(event.request);
+        event.respondWith(response);
+        // The worker may have been asleep past a scheduled time; catch up while it is awake
+        event.waitUntil(postScheduler.flush());
+        // Keep the worker alive for stale cache entries being refreshed in the background
+        event.waitUntil(response.then(() => toolCache.idle(), () => {}));
         return;
     }
 
-    // Handle CORS preflight for MCP endpoint
-    if (url.pathname === '/mcp' && event.request.method === 'OPTIONS') {
-        event.respondWith(handleCORSPreflight());
+    // Tells MCP clients where to get the LinkedIn token /mcp accepts as a bearer token
+    if (url.pathname.startsWith('/.well-known/oauth-protected-resource')) {
+        event.respondWith(mcpTransport.handleResourceMetadata(event.request));
         return;
     }
 
@@ -65,77 +169,49 @@ self.addEventListener('fetch', event => {
     }
 });
 
-/**
- * Handle MCP protocol requests
- */
-async function handleMCPRequest(request) {
-    try {
-        console.log('Handling MCP request');
-        const requestData = await request.json();
-        
-        // Create MCP server instance
-        const mcpServer = createMCPServerInstance();
-        
-        const method = requestData.method;
-        const params = requestData.params || {};
-        const requestId = requestData.id;
-        
-        let response;
-        
-        // Route MCP methods
-        switch (method) {
-            case 'initialize':
-                response = mcpServer.handleInitialize(params);
-                break;
-            case 'tools/list':
-                response = mcpServer.handleToolsList();
-                break;
-            case 'tools/call':
-                response = mcpServer.handleToolsCall(params);
-                break;
-            default:
-                response = {
-                    jsonrpc: "2.0",
-                    error: {
-                        code: -32601,
-                        message: 'Method not found: ' + method,
-                        data: {
-                            supportedMethods: ['initialize', 'tools/list', 'tools/call']
-                        }
-                    }
-                };
-        }
-
-        // Add request ID if present
-        if (requestId !== undefined) {
-            response.id = requestId;
-        }
-
-        return createJSONResponse(response, 200);
+// Periodic Background Sync wakes the worker to publish scheduled posts (registered by the dashboard)
+self.addEventListener('periodicsync', event => {
+    if (event.tag === 'publish-scheduled-posts') {
+        event.waitUntil(postScheduler.flush());
+    }
+});
 
-    } catch (error) {
-        console.error('MCP request error:', error);
-        return createJSONResponse({
-            jsonrpc: "2.0",
-            error: {
-                code: -32603,
-                message: 'Internal error: ' + error.message,
-                data: {
-                    timestamp: new Date().toISOString()
-                }
-            }
-        }, 500);
+// Admin panel on the dashboard: it sends { type } with a MessageChannel port for the reply.
+// Only pages of this origin can message the worker.
+self.addEventListener('message', event => {
+    const port = event.ports[0];
+    if (!port || !event.data) {
+        return;
     }
-}
+
+    event.waitUntil(handleAdminMessage(event.data).then(
+        reply => port.postMessage(reply),
+        error => port.postMessage({ error: error.message })
+    ));
+});
 
 /**
- * Handle CORS preflight requests
+ * Answer an admin panel request
+ *   getAdminStatus - tool metrics, cache metrics, recent log entries and write tool audit records
+ *   setLogLevel    - change the worker's log level until it restarts
  */
-function handleCORSPreflight() {
-    return new Response(null, {
-        status: 200,
-        headers: getCORSHeaders()
-    });
+async function handleAdminMessage(message) {
+    switch (message.type) {
+        case 'getAdminStatus':
+            return {
+                logLevel: logger.level,
+                metrics: toolMetrics.getMetrics(),
+                cache: toolCache.getMetrics(),
+                logs: logger.history.slice().reverse(),
+                audit: await auditLog.list({ limit: message.auditLimit || 50 })
+            };
+        case 'setLogLevel':
+            logger.setLevel(message.level);
+            logger.info('Log level set to ' + logger.level + ' from the admin panel');
+            return { logLevel: logger.level };
+        default:
+            throw new Error('Unknown admin message: ' + message.type);
+    }
 }
 
 /**
@@ -162,7 +238,7 @@ async function handleStaticRequest(request) {
         return networkResponse;
         
     } catch (error) {
-        console.error('Static request error:', error);
+        logger.warning('Static request for ' + request.url + ' failed: ' + error.message);
         
         // Return cached version if network fails
         const cache = await caches.open(CACHE_NAME);
@@ -179,174 +255,3 @@ async function handleStaticRequest(request) {
         });
     }
 }
-
-/**
- * Create MCP Server instance (simplified for Service Worker)
- */
-function createMCPServerInstance() {
-    return {
-        handleInitialize(params) {
-            return {
-                jsonrpc: "2.0",
-                result: {
-                    serverInfo: {
-                        name: 'linkedin-mcp-server',
-                        version: '1.0.0',
-                        protocol: 'MCP 1.0'
-                    },
-                    capabilities: {
-                        tools: { listChanged: false },
-                        resources: { subscribe: false, listChanged: false }
-                    }
-                }
-            };
-        },
-
-        handleToolsList() {
-            return {
-                jsonrpc: "2.0",
-                result: {
-                    tools: [
-                        {
-                            name: "get_profile",
-                            description: "Get LinkedIn profile information for the current user",
-                            inputSchema: { type: "object", properties: {}, required: [] }
-                        },
-                        {
-                            name: "create_post",
-                            description: "Create a new LinkedIn post", 
-                            inputSchema: {
-                                type: "object",
-                                properties: {
-                                    text: { type: "string", description: "The text content of the post" },
-                                    visibility: { 
-                                        type: "string", 
-                                        description: "Post visibility (PUBLIC or CONNECTIONS)",
-                                        enum: ["PUBLIC", "CONNECTIONS"],
-                                        default: "PUBLIC"
-                                    }
-                                },
-                                required: ["text"]
-                            }
-                        },
-                        {
-                            name: "search_organizations",
-                            description: "Search for LinkedIn organizations",
-                            inputSchema: {
-                                type: "object",
-                                properties: {
-                                    query: { type: "string", description: "Search query" },
-                                    limit: { type: "number", description: "Max results", default: 10 }
-                                },
-                                required: ["query"]
-                            }
-                        },
-                        {
-                            name: "get_organizations",
-                            description: "Get user's organizations",
-                            inputSchema: {
-                                type: "object",
-                                properties: {
-                                    role: { type: "string", description: "Filter by role" }
-                                },
-                                required: []
-                            }
-                        }
-                    ]
-                }
-            };
-        },
-
-        handleToolsCall(params) {
-            const toolName = params.name;
-            const args = params.arguments || {};
-            
-            let result;
-            switch(toolName) {
-                case "get_profile":
-                    result = {
-                        status: "demo",
-                        data: {
-                            id: "demo-user",
-                            name: "Demo LinkedIn User",
-                            headline: "Professional using MCP Server",
-                            location: "San Francisco, CA"
-                        }
-                    };
-                    break;
-                case "create_post":
-                    result = {
-                        status: "success",
-                        message: 'Post would be created: "' + args.text + '"',
-                        data: {
-                            visibility: args.visibility || "PUBLIC",
-                            id: 'post-' + Date.now(),
-                            createdAt: new Date().toISOString()
-                        }
-                    };
-                    break;
-                case "search_organizations":
-                    result = {
-                        status: "demo",
-                        data: {
-                            elements: [{
-                                id: 'org-' + Date.now(),
-                                name: 'Demo Organization for "' + args.query + '"',
-                                industry: "Technology"
-                            }]
-                        }
-                    };
-                    break;
-                case "get_organizations":
-                    result = {
-                        status: "demo", 
-                        data: {
-                            elements: [{
-                                organization: "urn:li:organization:demo123",
-                                role: args.role || "MEMBER",
-                                state: "APPROVED"
-                            }]
-                        }
-                    };
-                    break;
-                default:
-                    result = { error: 'Unknown tool: ' + toolName };
-            }
-
-            return {
-                jsonrpc: "2.0",
-                result: {
-                    content: [{
-                        type: "text", 
-                        text: JSON.stringify(result, null, 2)
-                    }]
-                }
-            };
-        }
-    };
-}
-
-/**
- * Create JSON response with CORS headers
- */
-function createJSONResponse(data, status = 200) {
-    return new Response(JSON.stringify(data), {
-        status: status,
-        headers: {
-            'Content-Type': 'application/json',
-            ...getCORSHeaders()
-        }
-    });
-}
-
-/**
- * Get CORS headers
- */
-function getCORSHeaders() {
-    return {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Accept',
-        'Access-Control-Max-Age': '86400'
-    };
-}
\ No newline at end of file
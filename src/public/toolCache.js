@@ -0,0 +1,227 @@
+/**
+ * Result cache for read-only tools
+ * Entries are fresh for ttlMs and may then be served for another staleMs while a
+ * background call refreshes them (stale-while-revalidate). Entries carry the account
+ * they belong to and tags, so a write tool can drop e.g. every cached post list of the
+ * account that just posted. Kept in memory and written through to any store with the
+ * IndexedDBStore interface, so the service worker keeps its cache across restarts.
+ */
+
+class ToolCache {
+    /**
+     * @param {object} [store] - { get, set, delete, values } key-value store for persistence
+     * @param {object} [options] - { maxEntries, logger }
+     */
+    constructor(store = null, options = {}) {
+        this.store = store;
+        this.maxEntries = options.maxEntries || 500;
+        this.logger = options.logger || console;
+        this.entries = null;
+        this.loading = null;
+        this.revalidations = new Map();
+        this.metrics = { tools: {}, invalidations: 0 };
+    }
+
+    /**
+     * Load persisted entries once, dropping the ones that can no longer be served
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = (async () => {
+                const entries = new Map();
+                const now = Date.now();
+                for (const entry of this.store ? await this.store.values() : []) {
+                    if (entry.staleUntil > now) {
+                        entries.set(entry.key, entry);
+                    } else {
+                        await this.store.delete(entry.key);
+                    }
+                }
+                this.entries = entries;
+            })().catch(error => {
+                this.logger.warn('Tool cache could not be loaded: ' + error.message);
+                this.entries = new Map();
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Serve key from the cache or call load() and cache its result
+     * @param {string} key - identifies tool, arguments and account
+     * @param {function} load - async () => value
+     * @param {object} options - { tool, account, ttlMs, staleMs, tags, bypass, refresh }; bypass skips the
+     *                           lookup but still caches the fresh value, refresh (async () => value) is
+     *                           called instead of load to refresh a stale entry in the background
+     */
+    async fetch(key, load, options) {
+        await this.load();
+        const counts = this.countsFor(options.tool);
+        const entry = this.entries.get(key);
+        const now = Date.now();
+
+        if (options.bypass) {
+            counts.bypasses++;
+        } else if (entry && entry.expiresAt > now) {
+            counts.hits++;
+            return entry.value;
+        } else if (entry && entry.staleUntil > now) {
+            counts.staleHits++;
+            this.revalidate(key, options.refresh || load, options);
+            return entry.value;
+        } else {
+            counts.misses++;
+        }
+
+        const value = await load();
+        await this.set(key, value, options);
+        return value;
+    }
+
+    /**
+     * Refresh a stale entry in the background; concurrent requests share one refresh
+     */
+    revalidate(key, load, options) {
+        if (this.revalidations.has(key)) {
+            return;
+        }
+
+        const refresh = Promise.resolve()
+            .then(load)
+            .then(value => this.set(key, value, options))
+            .catch(error => this.logger.warn('Refreshing cached ' + options.tool + ' failed: ' + error.message))
+            .finally(() => this.revalidations.delete(key));
+        this.revalidations.set(key, refresh);
+    }
+
+    async set(key, value, { tool, account, ttlMs, staleMs = 0, tags = [] }) {
+        const now = Date.now();
+        const entry = {
+            key: key,
+            tool: tool,
+            account: account,
+            tags: tags,
+            value: value,
+            storedAt: now,
+            expiresAt: now + ttlMs,
+            staleUntil: now + ttlMs + staleMs
+        };
+
+        // Re-inserting keeps the Map in storage order, so the first entries are the oldest
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        await this.persist(store => store.set(key, entry));
+
+        if (this.entries.size > this.maxEntries) {
+            await this.prune(now);
+        }
+    }
+
+    /**
+     * Drop an account's entries that carry any of the tags
+     * @returns {Promise<number>} how many entries were dropped
+     */
+    async invalidate(tags, account) {
+        await this.load();
+        const keys = [];
+        this.entries.forEach((entry, key) => {
+            if (entry.account === account && entry.tags.some(tag => tags.includes(tag))) {
+                keys.push(key);
+            }
+        });
+
+        for (const key of keys) {
+            await this.remove(key);
+        }
+        this.metrics.invalidations += keys.length;
+        return keys.length;
+    }
+
+    /**
+     * Remove unservable entries, then the oldest ones while over maxEntries
+     */
+    async prune(now = Date.now()) {
+        const keys = [];
+        this.entries.forEach((entry, key) => {
+            if (entry.staleUntil <= now) {
+                keys.push(key);
+            }
+        });
+
+        const overflow = this.entries.size - keys.length - this.maxEntries;
+        if (overflow > 0) {
+            Array.from(this.entries.keys())
+                .filter(key => !keys.includes(key))
+                .slice(0, overflow)
+                .forEach(key => keys.push(key));
+        }
+
+        for (const key of keys) {
+            await this.remove(key);
+        }
+    }
+
+    async remove(key) {
+        this.entries.delete(key);
+        await this.persist(store => store.delete(key));
+    }
+
+    /**
+     * Write to the store; a failing store only costs persistence, never the tool call
+     */
+    async persist(operation) {
+        if (!this.store) {
+            return;
+        }
+        try {
+            await operation(this.store);
+        } catch (error) {
+            this.logger.warn('Tool cache could not be persisted: ' + error.message);
+        }
+    }
+
+    /**
+     * Resolves once background refreshes have finished (for ExtendableEvent.waitUntil)
+     */
+    idle() {
+        return Promise.all(Array.from(this.revalidations.values()));
+    }
+
+    countsFor(tool) {
+        if (!this.metrics.tools[tool]) {
+            this.metrics.tools[tool] = { hits: 0, staleHits: 0, misses: 0, bypasses: 0 };
+        }
+        return this.metrics.tools[tool];
+    }
+
+    /**
+     * Hit, stale hit, miss and bypass counts per tool since startup, plus the cache size
+     */
+    getMetrics() {
+        const totals = { hits: 0, staleHits: 0, misses: 0, bypasses: 0 };
+        Object.values(this.metrics.tools).forEach(counts => {
+            Object.keys(totals).forEach(name => {
+                totals[name] += counts[name];
+            });
+        });
+        const lookups = totals.hits + totals.staleHits + totals.misses;
+
+        return {
+            entries: this.entries ? this.entries.size : 0,
+            invalidations: this.metrics.invalidations,
+            hitRate: lookups > 0 ? (totals.hits + totals.staleHits) / lookups : null,
+            totals: totals,
+            tools: JSON.parse(JSON.stringify(this.metrics.tools))
+        };
+    }
+}
+
+// Make the cache available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.ToolCache = ToolCache;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ToolCache };
+}
@@ -0,0 +1,78 @@
+/**
+ * Per-tool call counters and latency
+ * Counts calls and errors per tool since startup and keeps the latest durations
+ * to report median and 95th percentile latency.
+ */
+
+class ToolMetrics {
+    /**
+     * @param {object} [options] - { sampleSize } durations kept per tool for the percentiles
+     */
+    constructor(options = {}) {
+        this.sampleSize = options.sampleSize || 100;
+        this.startedAt = new Date().toISOString();
+        this.tools = {};
+    }
+
+    /**
+     * @param {string} tool
+     * @param {number} durationMs
+     * @param {boolean} failed - the call threw or returned an isError result
+     */
+    record(tool, durationMs, failed = false) {
+        if (!this.tools[tool]) {
+            this.tools[tool] = { calls: 0, errors: 0, totalMs: 0, maxMs: 0, samples: [], lastCalledAt: null };
+        }
+        const counts = this.tools[tool];
+
+        counts.calls++;
+        counts.errors += failed ? 1 : 0;
+        counts.totalMs += durationMs;
+        counts.maxMs = Math.max(counts.maxMs, durationMs);
+        counts.lastCalledAt = new Date().toISOString();
+        counts.samples.push(durationMs);
+        if (counts.samples.length > this.sampleSize) {
+            counts.samples.shift();
+        }
+    }
+
+    getMetrics() {
+        const tools = {};
+        Object.keys(this.tools).sort().forEach(tool => {
+            const counts = this.tools[tool];
+            const samples = counts.samples.slice().sort((a, b) => a - b);
+            tools[tool] = {
+                calls: counts.calls,
+                errors: counts.errors,
+                errorRate: counts.errors / counts.calls,
+                averageMs: Math.round(counts.totalMs / counts.calls),
+                p50Ms: ToolMetrics.percentile(samples, 0.5),
+                p95Ms: ToolMetrics.percentile(samples, 0.95),
+                maxMs: counts.maxMs,
+                lastCalledAt: counts.lastCalledAt
+            };
+        });
+
+        return {
+            since: this.startedAt,
+            tools: tools
+        };
+    }
+
+    /**
+     * Nearest-rank percentile of sorted durations
+     */
+    static percentile(sorted, fraction) {
+        return sorted[Math.max(0, Math.ceil(fraction * sorted.length) - 1)];
+    }
+}
+
+// Make the metrics available globally (window in pages, self in the service worker)
+if (typeof self !== 'undefined') {
+    self.ToolMetrics = ToolMetrics;
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ToolMetrics };
+}